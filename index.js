@@ -3,46 +3,277 @@
  * Displays token usage with a circular progress ring and detailed breakdown
  */
 
-import { eventSource, event_types, getMaxContextSize, max_context, amount_gen, main_api, chat } from '../../../../script.js';
-import { promptManager } from '../../../openai.js';
-import { getTokenCountAsync } from '../../../tokenizers.js';
+import { eventSource, event_types, getMaxContextSize, max_context, amount_gen, main_api, chat, chat_metadata, characters, getCurrentChatId, getRequestHeaders, saveSettingsDebounced } from '../../../../script.js';
+import { extension_settings, saveMetadataDebounced } from '../../../extensions.js';
+import { getChatCompletionModel, oai_settings, promptManager } from '../../../openai.js';
+import { countTokensOpenAIAsync, getFriendlyTokenizerName, getTokenCountAsync, getTokenizerModel } from '../../../tokenizers.js';
+import { ToolManager } from '../../../tool-calling.js';
 import { itemizedPrompts } from '../../../itemized-prompts.js';
+import { getFileAttachment } from '../../../chats.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { getPresetManager } from '../../../preset-manager.js';
+import { download, flashHighlight, getAudioDurationFromDataURL, getFileText, getImageSizeFromDataURL, getStringHash, getVideoDurationFromDataURL } from '../../../utils.js';
+import { openWorldInfoEditor } from '../../../world-info.js';
+import { getGroupMembers, group_generation_mode, groups, selected_group } from '../../../group-chats.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import {
+    HISTORY_EXPORT_FIELDS,
+    IMAGE_LOW_DETAIL_TOKENS,
+    RING_SEGMENTS,
+    buildTurnForecast,
+    calculateCost,
+    clampPercent,
+    clampToRange,
+    classifyUsageLevel,
+    estimateImageTokens,
+    evaluateSectionCaps,
+    findPriceInTable,
+    formatSectionCap,
+    getRingSegments,
+    getSectionTokens,
+    guessTokenizerForModel,
+    normalizeMessageContent,
+    normalizeMessageForCounting,
+    parsePriceTable,
+    parseRingMarkers,
+    parseSectionCap,
+    projectDraft,
+    resolveContextDetails,
+    resolvePresetLimits,
+    resolveSectionCaps,
+    simulateUsage,
+    usageReportToCsv,
+    waitUntilCondition,
+} from './src/calculations.js';
 
 const MODULE_NAME = 'CT-ContextUsageIndicator';
 const CONTEXT_USAGE_UPDATED_EVENT = 'contextUsageUpdated';
+const PUBLIC_API_NAMESPACE = 'ContextUsageIndicator';
 const PROMPT_MANAGER_WAIT_TIMEOUT = 5000;
 const RING_RADIUS = 8;
 const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+const TEXT_COMPLETION_APIS = ['kobold', 'koboldhorde', 'textgenerationwebui', 'novel'];
+const HISTORY_METADATA_KEY = 'cui_usage_history';
+const COST_METADATA_KEY = 'cui_chat_cost';
+const HISTORY_MAX_ENTRIES = 500;
+const SPARKLINE_WIDTH = 220;
+const SPARKLINE_HEIGHT = 36;
+// MESSAGE_RECEIVED types that come from a generation (greetings, /sendas and extension messages do not)
+const GENERATION_MESSAGE_TYPES = ['normal', 'swipe', 'regenerate', 'continue', 'quiet'];
+// Event-driven refreshes wait for bursts (settings typing, chat switches) to settle
+const UPDATE_DEBOUNCE = 150;
+const MESSAGE_TOKEN_CACHE_LIMIT = 5000;
+
+// Published media token costs (image formulas live in src/calculations.js)
+const MEDIA_TOKENS_PER_SECOND = { video: 263, audio: 32 };
+// Assumed lengths when a clip's duration cannot be read, matching SillyTavern's own fallbacks
+const MEDIA_FALLBACK_SECONDS = { video: 40, audio: 300 };
+
+const USAGE_LEVELS = ['normal', 'warning', 'critical'];
+// Threshold notices (toasts or screen-reader announcements) are shown at most this often
+const THRESHOLD_NOTICE_INTERVAL = 15000;
+
+const POPOVER_ID = 'cui_popover';
+// Gap between the trigger and the popover, and minimum distance from the viewport edges
+const POPOVER_OFFSET = 8;
+const VIEWPORT_MARGIN = 8;
+// Small screens get a bottom sheet instead of a floating popover
+const BOTTOM_SHEET_MEDIA_QUERY = '(max-width: 600px)';
+const BOTTOM_SHEET_MAX_HEIGHT_RATIO = 0.8;
+const SWIPE_DISMISS_DISTANCE = 80;
+const ANNOUNCER_ID = 'cui_announcer';
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Ways to show usage on the page; all of them open the same popover
+const DISPLAY_MODES = ['ring', 'badge', 'bar', 'floating'];
+// Pointer travel before a press on the floating widget counts as a drag
+const FLOATING_DRAG_THRESHOLD = 4;
+// Shift+Arrow moves the floating widget by this many pixels
+const FLOATING_NUDGE_STEP = 10;
+// Default spot for the floating widget, measured from the bottom-right corner
+const FLOATING_DEFAULT_OFFSET = { right: 16, bottom: 96 };
+const FLOATING_NUDGE_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+// World Info insertion positions, indexed by SillyTavern's world_info_position values
+const WORLD_INFO_POSITION_LABELS = [
+    'Before Char Defs',
+    'After Char Defs',
+    'Before Author\'s Note',
+    'After Author\'s Note',
+    'At Depth',
+    'Before Examples',
+    'After Examples',
+    'Outlet',
+];
+const WORLD_INFO_AT_DEPTH_POSITION = 4;
+const WORLD_INFO_DEFAULT_DEPTH = 4;
+const WORLD_INFO_NAVIGATION_TIMEOUT = 2000;
+
+// Tokenizers the what-if simulator can compare against, keyed like SillyTavern's tokenizer endpoints
+const SIMULATOR_TOKENIZERS = [
+    { key: 'openai', label: 'OpenAI (GPT-4o)' },
+    { key: 'claude', label: 'Claude' },
+    { key: 'llama', label: 'Llama 1/2' },
+    { key: 'llama3', label: 'Llama 3' },
+    { key: 'mistral', label: 'Mistral' },
+    { key: 'nemo', label: 'Mistral Nemo' },
+    { key: 'gemma', label: 'Gemma/Gemini' },
+    { key: 'qwen2', label: 'Qwen2' },
+    { key: 'deepseek', label: 'DeepSeek' },
+    { key: 'command-r', label: 'Command-R' },
+    { key: 'command-a', label: 'Command-A' },
+    { key: 'jamba', label: 'Jamba' },
+    { key: 'yi', label: 'Yi' },
+];
+// Tokenizer ratios are measured on the start of the latest prompt
+const SIMULATOR_SAMPLE_LENGTH = 20000;
+// Wait for a pause in typing before recalculating the simulator
+const SIMULATOR_INPUT_DEBOUNCE = 300;
+// Connection profile API names (as used by /api) that are not Text Completion sources
+const PROFILE_MAIN_APIS = { kobold: 'kobold', horde: 'koboldhorde', novel: 'novel' };
+
+// Tokenizers the server's /api/tokenizers/openai/count endpoint runs without tiktoken (src/endpoints/tokenizers.js).
+// They tokenize message values only, with no role headers or other chat-template tokens, so their totals are estimates
+const TEMPLATE_TOKENIZER_MODELS = ['claude', 'llama', 'llama3', 'llama-3', 'mistral', 'yi', 'gemma', 'gemini', 'jamba', 'qwen2', 'command-r', 'command-a', 'nemo', 'deepseek'];
+
+const defaultSettings = Object.freeze({
+    enabled: true,
+    displayMode: 'ring',
+    placement: 'left',
+    // null until the floating widget is dragged; it then sits in the bottom-right corner
+    floatingPosition: null,
+    segmentedRing: false,
+    ringMarkers: [25, 50, 75, 100],
+    hiddenBreakdownRows: [],
+    showPromptBlocks: true,
+    numberFormat: 'full',
+    percentBasis: 'budget',
+    countingMode: 'fast',
+    autoRefresh: true,
+    liveDraftEstimate: true,
+    draftDebounce: 400,
+    promptManagerTimeout: PROMPT_MANAGER_WAIT_TIMEOUT,
+    warningThreshold: 75,
+    criticalThreshold: 90,
+    thresholdToasts: true,
+    // Caps per breakdown section, e.g. { worldInfo: { unit: 'percent', value: 25 } }
+    sectionCaps: {},
+    // Overrides keyed by character avatar; false lifts a global cap for that character
+    characterSectionCaps: {},
+    showHistory: true,
+    historyLength: 30,
+    exportPromptBlocks: false,
+    showContextMarker: true,
+    showCost: false,
+    // null until the user edits prices; the bundled prices.json is used meanwhile
+    priceTable: null,
+});
+
+// Breakdown groups, in display order
+const PROMPT_BLOCK_GROUPS = [
+    { id: 'system', label: 'System Prompts' },
+    { id: 'character', label: 'Character' },
+    { id: 'persona', label: 'Persona' },
+    { id: 'worldInfo', label: 'World Info' },
+    { id: 'examples', label: 'Examples' },
+    { id: 'history', label: 'Chat History' },
+    { id: 'media', label: 'Attachments/Media' },
+    { id: 'injections', label: 'Injections' },
+    { id: 'other', label: 'Bias & Nudges' },
+];
+
+// Prompt-manager identifiers with a fixed group; unknown prompt-manager entries are system prompts
+const PROMPT_BLOCK_GROUP_BY_KEY = {
+    charDescription: 'character',
+    charPersonality: 'character',
+    scenario: 'character',
+    personaDescription: 'persona',
+    worldInfoBefore: 'worldInfo',
+    worldInfoAfter: 'worldInfo',
+    dialogueExamples: 'examples',
+    chatHistory: 'history',
+    authorsNote: 'injections',
+    summary: 'injections',
+    vectorsMemory: 'injections',
+    vectorsDataBank: 'injections',
+    smartContext: 'injections',
+    bias: 'other',
+    impersonate: 'other',
+    quietPrompt: 'other',
+    groupNudge: 'other',
+    continueNudge: 'other',
+};
+
+// Labels for blocks that are not prompt-manager entries
+const PROMPT_BLOCK_LABELS = {
+    authorsNote: 'Author\'s Note',
+    summary: 'Summary',
+    vectorsMemory: 'Vector Storage',
+    vectorsDataBank: 'Data Bank',
+    smartContext: 'Smart Context',
+    bias: 'Prompt Bias',
+    impersonate: 'Impersonation',
+    quietPrompt: 'Quiet Prompt',
+    groupNudge: 'Group Nudge',
+    continueNudge: 'Continue Nudge',
+};
 
 // State
 let latestSnapshot = null;
 let promptManagerReadyPromise = null;
-let updateInProgress = false;
+let runningUpdate = null;
+let queuedUpdate = null;
+let updateTimer = null;
 let hostElement = null;
 let popoverElement = null;
 let isPopoverVisible = false;
+// Set when a drag of the floating widget ends, so the click that follows doesn't open the popover
+let suppressNextActivation = false;
+let draftTokens = 0;
+let draftEstimateTimer = null;
+let draftEstimateRequestId = 0;
+let thresholdState = { chatId: undefined, seeded: false, warning: false, critical: false };
+let pendingThresholdNotice = null;
+let thresholdNoticeTimer = null;
+let lastThresholdNoticeAt = 0;
+// The generated message whose snapshot goes into the history once its itemized prompt is read: { chatId, mesId }
+let pendingGeneration = null;
+const subscribers = new Set();
+const mediaTokenCache = new Map();
+const messageTokenCache = new Map();
+const attachmentTokenCache = new Map();
+let defaultPrices = {};
+let activatedWorldInfo = null;
+let worldInfoExpanded = false;
+let simulatorExpanded = false;
+// What-if inputs; null keeps the current value
+const simulatorInputs = { contextSize: null, responseLength: null, tokenizer: '' };
+// Ratio promises, so concurrent lookups for the same tokenizer share one request
+const tokenizerRatioCache = new Map();
+let simulatorRenderId = 0;
+let simulatorInputTimer = null;
+let lastDraftedCharacterId = null;
+let sessionCost = 0;
 
 // Formatters
 const numberFormatter = new Intl.NumberFormat(undefined, { maximumFractionDigits: 0 });
+const compactNumberFormatter = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 });
 const percentageFormatter = new Intl.NumberFormat(undefined, {
     maximumFractionDigits: 1,
     minimumFractionDigits: 1,
 });
-
-/**
- * Utility: Clamp percentage between 0-100
- */
-function clampPercent(value) {
-    if (typeof value !== 'number' || Number.isNaN(value)) return 0;
-    return Math.max(0, Math.min(100, value));
-}
+const costFormatter = new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' });
+const smallCostFormatter = new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD', maximumSignificantDigits: 2 });
 
 /**
  * Utility: Format number with fallback
  */
 function formatNumber(value) {
     if (typeof value !== 'number' || Number.isNaN(value) || !Number.isFinite(value)) return '—';
-    return numberFormatter.format(Math.max(0, Math.floor(value)));
+    const formatter = getSettings().numberFormat === 'compact' ? compactNumberFormatter : numberFormatter;
+    return formatter.format(Math.max(0, Math.floor(value)));
 }
 
 /**
@@ -54,22 +285,22 @@ function formatPercentage(value) {
 }
 
 /**
- * Wait for a condition with timeout
+ * Get extension settings, filling in defaults for missing keys
  */
-function waitUntilCondition(condition, timeout = 5000, interval = 150) {
-    return new Promise((resolve) => {
-        const startTime = Date.now();
-        const check = () => {
-            if (condition()) {
-                resolve(true);
-            } else if (Date.now() - startTime >= timeout) {
-                resolve(false);
-            } else {
-                setTimeout(check, interval);
-            }
-        };
-        check();
-    });
+function getSettings() {
+    if (!extension_settings[MODULE_NAME]) {
+        extension_settings[MODULE_NAME] = {};
+    }
+
+    const settings = extension_settings[MODULE_NAME];
+
+    for (const [key, value] of Object.entries(defaultSettings)) {
+        if (settings[key] === undefined) {
+            settings[key] = structuredClone(value);
+        }
+    }
+
+    return settings;
 }
 
 /**
@@ -77,37 +308,13 @@ function waitUntilCondition(condition, timeout = 5000, interval = 150) {
  */
 function getContextDetails() {
     const ctx = typeof SillyTavern !== 'undefined' ? SillyTavern.getContext() : null;
-    const mainApi = ctx?.mainApi;
-
-    const budget = Number(getMaxContextSize()) || 0;
-
-    let contextSize = 0;
-    if (mainApi === 'openai') {
-        contextSize = Number(ctx?.chatCompletionSettings?.openai_max_context) || 0;
-    }
-    if (!contextSize) {
-        contextSize = Number(ctx?.maxContext) || Number(max_context) || 0;
-    }
-
-    let responseLength = contextSize > 0 ? Math.max(0, contextSize - budget) : 0;
-    if (!responseLength) {
-        if (mainApi === 'openai') {
-            responseLength = Number(ctx?.chatCompletionSettings?.openai_max_tokens) || 0;
-        }
-        if (!responseLength) {
-            responseLength = Number(amount_gen) || 0;
-        }
-        if (!contextSize && (budget || responseLength)) {
-            contextSize = Math.max(0, budget) + Math.max(0, responseLength);
-        }
-    }
-
-    return {
-        mainApi,
-        contextSize,
-        responseLength,
-        budget: budget > 0 ? budget : Math.max(0, contextSize - responseLength),
-    };
+    return resolveContextDetails({
+        mainApi: ctx?.mainApi,
+        maxContextSize: getMaxContextSize(),
+        chatCompletionSettings: ctx?.chatCompletionSettings,
+        maxContext: Number(ctx?.maxContext) || max_context,
+        amountGen: amount_gen,
+    });
 }
 
 /**
@@ -118,7 +325,7 @@ async function ensurePromptManagerReady() {
     if (!promptManagerReadyPromise) {
         promptManagerReadyPromise = waitUntilCondition(
             () => Boolean(promptManager?.tokenHandler),
-            PROMPT_MANAGER_WAIT_TIMEOUT,
+            Number(getSettings().promptManagerTimeout) || PROMPT_MANAGER_WAIT_TIMEOUT,
             150
         ).finally(() => {
             promptManagerReadyPromise = null;
@@ -128,6 +335,298 @@ async function ensurePromptManagerReady() {
     return Boolean(promptManager?.tokenHandler);
 }
 
+/**
+ * Look up a prompt-manager entry without throwing before the manager is configured
+ */
+function findManagedPrompt(identifier) {
+    try {
+        return typeof promptManager?.getPromptById === 'function' ? promptManager.getPromptById(identifier) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the display label and breakdown group of a prompt block identifier
+ */
+function describePromptBlock(key) {
+    const prompt = findManagedPrompt(key);
+    return {
+        label: prompt?.name || PROMPT_BLOCK_LABELS[key] || key,
+        group: PROMPT_BLOCK_GROUP_BY_KEY[key] || (prompt ? 'system' : 'injections'),
+    };
+}
+
+/**
+ * Build labelled, grouped prompt blocks from prompt-manager token counts
+ */
+function buildPromptBlocks(counts) {
+    if (!counts || typeof counts !== 'object') return [];
+
+    return Object.entries(counts)
+        .filter(([, tokens]) => typeof tokens === 'number' && Number.isFinite(tokens) && tokens > 0)
+        .map(([key, tokens]) => ({ key, ...describePromptBlock(key), tokens }));
+}
+
+/**
+ * Count tokens of an optional prompt string
+ */
+async function countTextTokens(text) {
+    if (typeof text !== 'string' || !text) return 0;
+    const count = await getTokenCountAsync(text);
+    return typeof count === 'number' && Number.isFinite(count) ? count : 0;
+}
+
+/**
+ * Count a prompt message once per tokenizer and content; later refreshes only count new or edited messages
+ */
+async function countMessageTokensCached(cacheScope, content, counter) {
+    const cacheKey = `${cacheScope}:${getStringHash(content)}`;
+    if (messageTokenCache.has(cacheKey)) {
+        return messageTokenCache.get(cacheKey);
+    }
+
+    const tokens = await counter();
+    // Oldest entries go first once the cache is full
+    if (messageTokenCache.size >= MESSAGE_TOKEN_CACHE_LIMIT) {
+        messageTokenCache.delete(messageTokenCache.keys().next().value);
+    }
+    messageTokenCache.set(cacheKey, tokens);
+    return tokens;
+}
+
+/**
+ * Get the most recent itemized prompt produced by the given API
+ */
+function getLatestItemizedPrompt(api) {
+    if (!Array.isArray(itemizedPrompts)) return null;
+    for (let i = itemizedPrompts.length - 1; i >= 0; i--) {
+        const prompt = itemizedPrompts[i];
+        if (prompt && prompt.main_api === api) return prompt;
+    }
+    return null;
+}
+
+/**
+ * Describe the tokenizer used for the given API
+ */
+function getTokenizerInfo(mainApi) {
+    try {
+        const { tokenizerName, tokenizerKey } = getFriendlyTokenizerName(mainApi);
+        return { name: tokenizerName || tokenizerKey, key: tokenizerKey };
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Could not resolve the active tokenizer:', error);
+        return null;
+    }
+}
+
+/**
+ * Count tokens of the tool definitions sent along with the prompt
+ */
+async function countToolDefinitionTokens() {
+    try {
+        if (!ToolManager?.isToolCallingSupported?.()) return 0;
+
+        const definitions = [];
+        for (const tool of ToolManager.tools ?? []) {
+            if (await tool.shouldRegister()) {
+                definitions.push(tool.toFunctionOpenAI());
+            }
+        }
+        return definitions.length > 0 ? await countTextTokens(JSON.stringify(definitions)) : 0;
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Error counting tool definitions:', error);
+        return 0;
+    }
+}
+
+/**
+ * Count a chat-completion prompt message by message with the active model's tokenizer
+ * Counts each message the way SillyTavern's prompt manager does (TokenHandler.countAsync in openai.js)
+ */
+async function countChatPromptExact(rawPrompt) {
+    const model = getTokenizerModel();
+    const messageTokens = [];
+    let mediaParts = 0;
+
+    for (const rawMessage of rawPrompt) {
+        const { message, mediaParts: messageMediaParts } = normalizeMessageForCounting(rawMessage);
+        mediaParts += messageMediaParts;
+
+        // For tiktoken models the server adds 3 tokens per message, 1 per name and 3 of reply priming per request
+        // (src/endpoints/tokenizers.js); countTokensOpenAIAsync starts from -1 and drops 2 when not counting in full
+        const count = await countMessageTokensCached(`exact:${model}`, JSON.stringify(message), () => countTokensOpenAIAsync(message));
+        messageTokens.push(count);
+    }
+
+    const toolTokens = await countToolDefinitionTokens();
+    const totalTokens = messageTokens.reduce((sum, tokens) => sum + tokens, 0) + toolTokens;
+
+    return {
+        totalTokens,
+        messageTokens,
+        toolTokens,
+        // Only plain tiktoken messages match SillyTavern's own count; template tokenizers, media parts and tool schemas are approximations
+        isExact: !TEMPLATE_TOKENIZER_MODELS.includes(model) && mediaParts === 0 && toolTokens === 0,
+    };
+}
+
+/**
+ * Work out whose image formula applies to the active chat-completion source
+ */
+function getMediaProvider() {
+    const source = oai_settings?.chat_completion_source;
+    if (source === 'claude') return 'claude';
+    if (source === 'makersuite' || source === 'vertexai') return 'google';
+    return 'openai';
+}
+
+/**
+ * Estimate the tokens of one non-text content part (image, video or audio)
+ */
+async function estimateMediaPartTokens(part, provider) {
+    if (part?.type === 'image_url') {
+        const detail = part.image_url?.detail || 'auto';
+        try {
+            const { width, height } = await getImageSizeFromDataURL(part.image_url?.url);
+            return estimateImageTokens(width, height, detail, provider);
+        } catch {
+            return IMAGE_LOW_DETAIL_TOKENS;
+        }
+    }
+
+    if (part?.type === 'video_url') {
+        try {
+            return MEDIA_TOKENS_PER_SECOND.video * Math.ceil(await getVideoDurationFromDataURL(part.video_url?.url));
+        } catch {
+            return MEDIA_TOKENS_PER_SECOND.video * MEDIA_FALLBACK_SECONDS.video;
+        }
+    }
+
+    if (part?.type === 'audio_url' || part?.type === 'input_audio') {
+        const url = part.type === 'input_audio'
+            ? `data:audio/${part.input_audio?.format || 'wav'};base64,${part.input_audio?.data}`
+            : part.audio_url?.url;
+        try {
+            return MEDIA_TOKENS_PER_SECOND.audio * Math.ceil(await getAudioDurationFromDataURL(url));
+        } catch {
+            return MEDIA_TOKENS_PER_SECOND.audio * MEDIA_FALLBACK_SECONDS.audio;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Sum the media tokens of every array-content part in a chat-completion prompt
+ */
+async function countPromptMediaTokens(rawPrompt) {
+    if (!Array.isArray(rawPrompt)) return 0;
+
+    const provider = getMediaProvider();
+    let tokens = 0;
+    for (const message of rawPrompt) {
+        if (!Array.isArray(message?.content)) continue;
+        for (const part of message.content) {
+            if (typeof part === 'string' || part?.type === 'text') continue;
+
+            // Decoding media is slow, so estimates are cached per part
+            const cacheKey = `${provider}:${getStringHash(JSON.stringify(part))}`;
+            if (!mediaTokenCache.has(cacheKey)) {
+                mediaTokenCache.set(cacheKey, await estimateMediaPartTokens(part, provider));
+            }
+            tokens += mediaTokenCache.get(cacheKey);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Count the text of files attached to the chat messages included in the prompt
+ */
+async function countAttachmentTextTokens(contextMessages, tokenizerName) {
+    if (!contextMessages || !Array.isArray(chat)) return 0;
+
+    let tokens = 0;
+    for (let i = contextMessages.firstIncludedIndex; i < chat.length; i++) {
+        const files = chat[i]?.extra?.files;
+        if (!Array.isArray(files)) continue;
+
+        for (const file of files) {
+            if (!file?.url && !file?.name) continue;
+            const cacheKey = `${tokenizerName}:${file.url || file.name}`;
+            if (!attachmentTokenCache.has(cacheKey)) {
+                try {
+                    const text = file.text || await getFileAttachment(file.url);
+                    attachmentTokenCache.set(cacheKey, await countTextTokens(text));
+                } catch (error) {
+                    console.warn('[ContextUsageIndicator] Could not read file attachment:', error);
+                    attachmentTokenCache.set(cacheKey, 0);
+                }
+            }
+            tokens += attachmentTokenCache.get(cacheKey);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Read token breakdown for text-completion APIs from the itemized prompt data
+ * Mirrors the arithmetic of the native prompt itemization for non-OpenAI APIs
+ */
+async function readTextCompletionUsage(mainApi) {
+    const prompt = getLatestItemizedPrompt(mainApi);
+    if (!prompt) return null;
+
+    const finalPrompt = typeof prompt.finalPrompt === 'string' && prompt.finalPrompt
+        ? prompt.finalPrompt
+        : (typeof prompt.rawPrompt === 'string' ? prompt.rawPrompt : '');
+    const totalTokens = await countTextTokens(finalPrompt);
+    if (!totalTokens) return null;
+
+    const worldInfoTokens = await countTextTokens(prompt.worldInfoString);
+    const storyStringTokens = Math.max(0, await countTextTokens(prompt.storyString) - worldInfoTokens);
+    const examplesTokens = await countTextTokens(prompt.examplesString);
+
+    // Chat history excludes extension prompts injected in-chat (Author's Note, summaries, etc.)
+    const mesSendTokens = await countTextTokens(prompt.mesSendString);
+    const allAnchorsTokens = await countTextTokens(prompt.allAnchors);
+    const scenarioAnchorsTokens = await countTextTokens(prompt.beforeScenarioAnchor) + await countTextTokens(prompt.afterScenarioAnchor);
+    const chatHistoryTokens = Math.max(0, mesSendTokens - (allAnchorsTokens - scenarioAnchorsTokens));
+
+    const charDescriptionTokens = await countTextTokens(prompt.charDescription);
+    const charPersonalityTokens = await countTextTokens(prompt.charPersonality);
+    const scenarioTokens = await countTextTokens(prompt.scenarioText);
+    const characterTokens = charDescriptionTokens + charPersonalityTokens + scenarioTokens;
+    const personaTokens = await countTextTokens(prompt.userPersona);
+    const promptBiasTokens = await countTextTokens(prompt.promptBias);
+
+    // The story string contains the character and persona fields, so they are split out of it to keep blocks additive
+    const promptBlocks = [
+        { key: 'storyString', label: 'Story String', group: 'system', tokens: Math.max(0, storyStringTokens - characterTokens - personaTokens) },
+        { key: 'charDescription', label: 'Char Description', group: 'character', tokens: charDescriptionTokens },
+        { key: 'charPersonality', label: 'Char Personality', group: 'character', tokens: charPersonalityTokens },
+        { key: 'scenario', label: 'Scenario', group: 'character', tokens: scenarioTokens },
+        { key: 'userPersona', label: 'Persona Description', group: 'persona', tokens: personaTokens },
+        { key: 'worldInfo', label: 'World Info', group: 'worldInfo', tokens: worldInfoTokens },
+        { key: 'examples', label: 'Example Dialogue', group: 'examples', tokens: examplesTokens },
+        { key: 'chatHistory', label: 'Chat History', group: 'history', tokens: chatHistoryTokens },
+        { key: 'extensionPrompts', label: 'Extension Prompts', group: 'injections', tokens: allAnchorsTokens },
+        { key: 'bias', label: PROMPT_BLOCK_LABELS.bias, group: 'other', tokens: promptBiasTokens },
+    ].filter(block => block.tokens > 0);
+
+    return {
+        totalTokens,
+        chatHistoryTokens,
+        characterTokens,
+        personaTokens,
+        worldInfoTokens,
+        storyStringTokens,
+        examplesTokens,
+        promptBlocks,
+    };
+}
+
 /**
  * Build context usage snapshot
  */
@@ -135,14 +634,38 @@ async function buildContextUsageSnapshot() {
     const { budget, contextSize, responseLength, mainApi } = getContextDetails();
 
     let totalTokens = null;
-    const showPromptSection = mainApi === 'openai';
+    const isChatCompletion = mainApi === 'openai';
+    const isTextCompletion = TEXT_COMPLETION_APIS.includes(mainApi);
+    const showPromptSection = isChatCompletion || isTextCompletion;
     let tokensReady = false;
     let chatHistoryTokens = null;
     let characterTokens = null;
     let personaTokens = null;
     let worldInfoTokens = null;
+    let storyStringTokens = null;
+    let examplesTokens = null;
+    let promptBlocks = [];
+    let messageTokens = null;
+    let toolTokens = 0;
+    let countIsExact = false;
+    const tokenizer = showPromptSection ? getTokenizerInfo(mainApi) : null;
+    let totalIncludesMedia = false;
+
+    if (isTextCompletion) {
+        try {
+            const usage = await readTextCompletionUsage(mainApi);
+            if (usage) {
+                ({ totalTokens, chatHistoryTokens, characterTokens, personaTokens, worldInfoTokens, storyStringTokens, examplesTokens, promptBlocks } = usage);
+                tokensReady = true;
+                // The final prompt is a single string, so only the character-count fallback tokenizer is inexact
+                countIsExact = tokenizer?.key !== 'none';
+            }
+        } catch (error) {
+            console.warn('[ContextUsageIndicator] Error getting tokens from text completion prompt:', error);
+        }
+    }
 
-    if (showPromptSection && (await ensurePromptManagerReady())) {
+    if (isChatCompletion && (await ensurePromptManagerReady())) {
         const handler = promptManager?.tokenHandler;
         tokensReady = Boolean(handler);
 
@@ -161,39 +684,50 @@ async function buildContextUsageSnapshot() {
             characterTokens = sumCounts(['charDescription', 'charPersonality', 'scenario']);
             personaTokens = readCount('personaDescription');
             worldInfoTokens = sumCounts(['worldInfoBefore', 'worldInfoAfter']);
+            promptBlocks = buildPromptBlocks(counts);
 
-            // Try to get the token count from the latest itemized prompt (what the native itemization uses)
+            // Count the latest itemized prompt (what the native itemization uses)
             // This should match the "Copy Prompt" token count more closely
             try {
-                if (Array.isArray(itemizedPrompts) && itemizedPrompts.length > 0) {
-                    // Get the most recent itemized prompt
-                    const latestPrompt = itemizedPrompts[itemizedPrompts.length - 1];
-                    
-                    if (latestPrompt && latestPrompt.rawPrompt) {
-                        // Extract text from the raw prompt
-                        let promptText = '';
-                        if (Array.isArray(latestPrompt.rawPrompt)) {
-                            // Chat completion format - extract content from all messages
-                            promptText = latestPrompt.rawPrompt
-                                .map(msg => msg.content || '')
-                                .filter(content => content)
-                                .join('\n');
-                        } else if (typeof latestPrompt.rawPrompt === 'string') {
-                            promptText = latestPrompt.rawPrompt;
-                        }
-                        
-                        if (promptText) {
-                            totalTokens = await getTokenCountAsync(promptText);
-                        }
+                const latestPrompt = getLatestItemizedPrompt(mainApi);
+                if (Array.isArray(latestPrompt?.rawPrompt) && getSettings().countingMode === 'exact') {
+                    const usage = await countChatPromptExact(latestPrompt.rawPrompt);
+                    totalTokens = usage.totalTokens;
+                    messageTokens = usage.messageTokens;
+                    toolTokens = usage.toolTokens;
+                    countIsExact = usage.isExact;
+                    if (toolTokens > 0) {
+                        promptBlocks.push({ key: 'toolDefinitions', label: 'Tool Definitions', group: 'system', tokens: toolTokens });
+                    }
+                } else if (Array.isArray(latestPrompt?.rawPrompt)) {
+                    // Fast mode: count each message's text, plus one token per line break joining them,
+                    // ignoring per-message overhead
+                    const texts = latestPrompt.rawPrompt
+                        .map(msg => normalizeMessageContent(msg?.content).text)
+                        .filter(content => content);
+                    let textTokens = 0;
+                    for (const text of texts) {
+                        textTokens += await countMessageTokensCached(`fast:${tokenizer?.key ?? mainApi}`, text, () => countTextTokens(text));
                     }
+                    if (texts.length > 0) {
+                        totalTokens = textTokens + texts.length - 1;
+                    }
+                } else if (typeof latestPrompt?.rawPrompt === 'string' && latestPrompt.rawPrompt) {
+                    totalTokens = await getTokenCountAsync(latestPrompt.rawPrompt);
                 }
             } catch (error) {
                 console.warn('[ContextUsageIndicator] Error getting tokens from itemized prompt:', error);
+                countIsExact = false;
             }
 
             // Fallback to handler.getTotal() if itemized prompt method didn't work
             if (!totalTokens || !Number.isFinite(totalTokens)) {
                 totalTokens = typeof handler?.getTotal === 'function' ? handler.getTotal() : null;
+                messageTokens = null;
+                toolTokens = 0;
+                countIsExact = false;
+                // The prompt manager's own total already costs in inline media
+                totalIncludesMedia = true;
             }
 
             // Validate total
@@ -204,12 +738,64 @@ async function buildContextUsageSnapshot() {
         }
     }
 
-    const percent = tokensReady && budget > 0
-        ? (totalTokens / budget) * 100
+    const contextMessages = tokensReady ? getPromptMessageRange(mainApi) : null;
+
+    // Media parts and file attachments get their own rows; both ride inside the chat history count
+    let mediaPartTokens = 0;
+    let attachmentTokens = 0;
+    if (tokensReady) {
+        try {
+            mediaPartTokens = isChatCompletion ? await countPromptMediaTokens(getLatestItemizedPrompt(mainApi)?.rawPrompt) : 0;
+            attachmentTokens = await countAttachmentTextTokens(contextMessages, tokenizer?.name ?? mainApi);
+        } catch (error) {
+            console.warn('[ContextUsageIndicator] Error counting attachments and media:', error);
+        }
+
+        if (mediaPartTokens > 0 && !totalIncludesMedia) {
+            totalTokens += mediaPartTokens;
+        }
+
+        const historyBlock = promptBlocks.find(block => block.key === 'chatHistory');
+        const mediaInHistory = Math.min(mediaPartTokens + attachmentTokens, historyBlock?.tokens ?? chatHistoryTokens ?? 0);
+        if (historyBlock) {
+            historyBlock.tokens -= mediaInHistory;
+        }
+        if (typeof chatHistoryTokens === 'number') {
+            chatHistoryTokens = Math.max(0, chatHistoryTokens - mediaInHistory);
+        }
+        promptBlocks.push(
+            { key: 'mediaParts', label: 'Images/Audio/Video', group: 'media', tokens: mediaPartTokens },
+            { key: 'fileAttachments', label: 'File Attachments', group: 'media', tokens: attachmentTokens },
+        );
+        promptBlocks = promptBlocks.filter(block => block.tokens > 0);
+    }
+    const mediaTokens = tokensReady ? mediaPartTokens + attachmentTokens : null;
+
+    let group = null;
+    if (tokensReady) {
+        try {
+            group = await buildGroupBreakdown(contextMessages, `fast:${tokenizer?.key ?? mainApi}`);
+        } catch (error) {
+            console.warn('[ContextUsageIndicator] Error building the group breakdown:', error);
+        }
+    }
+
+    // Percentages are relative to the prompt budget or, optionally, the full context size
+    const percentBase = getSettings().percentBasis === 'context' && contextSize > 0 ? contextSize : budget;
+    const percent = tokensReady && percentBase > 0
+        ? (totalTokens / percentBase) * 100
         : 0;
 
+    // Gap between the total and its parts, so the breakdown always adds up
+    const unaccountedTokens = tokensReady
+        ? totalTokens - promptBlocks.reduce((sum, block) => sum + block.tokens, 0)
+        : null;
+
     return {
+        mainApi,
+        model: getActiveModel(mainApi),
         percent,
+        percentBase,
         budget,
         contextSize,
         responseLength,
@@ -220,388 +806,3365 @@ async function buildContextUsageSnapshot() {
         characterTokens,
         personaTokens,
         worldInfoTokens,
+        storyStringTokens,
+        examplesTokens,
+        mediaTokens,
+        worldInfoEntries: tokensReady ? await getActivatedWorldInfoEntries() : [],
+        group,
+        promptBlocks: tokensReady ? promptBlocks : [],
+        unaccountedTokens,
+        tokenizerName: tokenizer?.name ?? null,
+        countIsExact: tokensReady && countIsExact,
+        messageTokens: tokensReady ? messageTokens : null,
+        toolTokens: tokensReady ? toolTokens : 0,
+        usageLevel: tokensReady ? getUsageLevel(percent) : 'normal',
+        remainingTokens: tokensReady ? Math.max(0, budget - totalTokens) : null,
+        contextMessages,
+        forecast: tokensReady ? buildTurnForecast({ budget, totalTokens, chatHistoryTokens, contextMessages, chatMessages: chat }) : null,
     };
 }
 
 /**
- * Update context usage and dispatch event
+ * Build the per-member breakdown for group chats
+ * Card costs are the raw card fields; history is what each member's messages contribute to the prompt
  */
-async function updateContextUsage() {
-    if (updateInProgress) return;
-    updateInProgress = true;
+async function buildGroupBreakdown(contextMessages, cacheScope) {
+    if (!selected_group || !Array.isArray(groups)) return null;
+    const group = groups.find(x => x.id === selected_group);
+    if (!group) return null;
 
-    try {
-        const snapshot = await buildContextUsageSnapshot();
-        latestSnapshot = snapshot;
+    const speakerAvatar = getGroupSpeaker()?.avatar;
+    const disabledMembers = Array.isArray(group.disabled_members) ? group.disabled_members : [];
 
-        document.dispatchEvent(
-            new CustomEvent(CONTEXT_USAGE_UPDATED_EVENT, { detail: snapshot })
-        );
+    const historyByAvatar = new Map();
+    let userHistoryTokens = 0;
+    if (contextMessages && Array.isArray(chat)) {
+        for (let i = contextMessages.firstIncludedIndex; i < contextMessages.endIndex; i++) {
+            const message = chat[i];
+            if (!message || message.is_system) continue;
+
+            const text = String(message.mes ?? '');
+            const tokens = await countMessageTokensCached(cacheScope, text, () => countTextTokens(text));
+            if (message.is_user) {
+                userHistoryTokens += tokens;
+            } else {
+                const avatar = getMessageAvatar(message);
+                historyByAvatar.set(avatar, (historyByAvatar.get(avatar) ?? 0) + tokens);
+            }
+        }
+    }
 
-        updateUI(snapshot);
-    } finally {
-        updateInProgress = false;
+    const members = [];
+    for (const character of getGroupMembers(group.id)) {
+        if (!character) continue;
+        const cardTokens = await countTextTokens(character.description)
+            + await countTextTokens(character.personality)
+            + await countTextTokens(character.scenario);
+        members.push({
+            name: character.name,
+            avatar: character.avatar,
+            cardTokens,
+            historyTokens: historyByAvatar.get(character.avatar) ?? 0,
+            disabled: disabledMembers.includes(character.avatar),
+            isSpeaker: Boolean(speakerAvatar) && character.avatar === speakerAvatar,
+        });
     }
+
+    // Join mode puts every card in the prompt; muted members only when the group asks for it
+    const joinMode = group.generation_mode === group_generation_mode.APPEND || group.generation_mode === group_generation_mode.APPEND_DISABLED;
+    const combinedCardTokens = joinMode
+        ? members
+            .filter(member => !member.disabled || member.isSpeaker || group.generation_mode === group_generation_mode.APPEND_DISABLED)
+            .reduce((sum, member) => sum + member.cardTokens, 0)
+        : null;
+
+    return {
+        id: group.id,
+        name: group.name,
+        joinMode,
+        speaker: members.find(member => member.isSpeaker) ?? null,
+        combinedCardTokens,
+        userHistoryTokens,
+        members: members.sort((a, b) => (b.cardTokens + b.historyTokens) - (a.cardTokens + a.historyTokens)),
+    };
 }
 
 /**
- * Create SVG ring element
+ * Work out which chat messages made it into the last prompt
+ * History is trimmed from the oldest end, so the included messages are the newest ones before the generated reply
  */
-function createRingSVG(percent, disabled) {
-    const safePercent = clampPercent(percent);
-    const strokeDashoffset = RING_CIRCUMFERENCE - (safePercent / 100) * RING_CIRCUMFERENCE;
+function getPromptMessageRange(mainApi) {
+    if (!Array.isArray(chat)) return null;
 
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('class', 'cui-ring');
-    svg.setAttribute('viewBox', '0 0 20 20');
-    svg.setAttribute('role', 'presentation');
-    svg.setAttribute('aria-hidden', 'true');
+    const prompt = getLatestItemizedPrompt(mainApi);
+    const endIndex = Number.isInteger(prompt?.mesId) ? Math.min(prompt.mesId, chat.length) : chat.length;
+    const candidates = [];
+    for (let i = 0; i < endIndex; i++) {
+        if (chat[i] && !chat[i].is_system) {
+            candidates.push(i);
+        }
+    }
+    if (candidates.length === 0) return null;
 
-    const trackCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    trackCircle.setAttribute('cx', '10');
-    trackCircle.setAttribute('cy', '10');
-    trackCircle.setAttribute('r', RING_RADIUS);
-    trackCircle.setAttribute('class', 'cui-ring__track');
+    const promptMessages = Number(prompt?.messagesCount);
+    const isExact = Number.isFinite(promptMessages) && promptMessages > 0;
+    const includedCount = isExact ? Math.min(promptMessages, candidates.length) : candidates.length;
 
-    // Add percentage marker lines at 25%, 50%, 75%, 100%
-    const markers = [25, 50, 75, 100];
-    markers.forEach(percentage => {
-        const angle = (percentage / 100) * 360 - 90; // -90 to start from top
-        const radians = (angle * Math.PI) / 180;
-        // Start from the outer edge of the circle
-        const x1 = 10 + (RING_RADIUS + 1) * Math.cos(radians);
-        const y1 = 10 + (RING_RADIUS + 1) * Math.sin(radians);
-        // Extend inward toward the center
-        const x2 = 10 + (RING_RADIUS - 2) * Math.cos(radians);
-        const y2 = 10 + (RING_RADIUS - 2) * Math.sin(radians);
+    return {
+        firstIncludedIndex: candidates[candidates.length - includedCount],
+        endIndex,
+        includedCount,
+        totalCount: candidates.length,
+        isExact,
+    };
+}
 
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', x1);
-        line.setAttribute('y1', y1);
-        line.setAttribute('x2', x2);
-        line.setAttribute('y2', y2);
-        line.setAttribute('class', 'cui-ring__marker');
-        svg.appendChild(line);
-    });
+/**
+ * Classify usage percentage against the configured thresholds
+ */
+function getUsageLevel(percent) {
+    const { warningThreshold, criticalThreshold } = getSettings();
+    return classifyUsageLevel(percent, warningThreshold, criticalThreshold);
+}
 
-    const valueCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    valueCircle.setAttribute('cx', '10');
-    valueCircle.setAttribute('cy', '10');
-    valueCircle.setAttribute('r', RING_RADIUS);
-    valueCircle.setAttribute('class', `cui-ring__value${disabled ? ' is-disabled' : ''}`);
-    valueCircle.setAttribute('stroke-dasharray', `${RING_CIRCUMFERENCE} ${RING_CIRCUMFERENCE}`);
-    valueCircle.setAttribute('stroke-dashoffset', strokeDashoffset);
+/**
+ * Fire a one-time toast per chat when usage crosses a threshold; re-arm once it drops back below
+ */
+function notifyThresholdCrossings(snapshot) {
+    const chatId = getCurrentChatId();
+    if (thresholdState.chatId !== chatId) {
+        thresholdState = { chatId, seeded: false, warning: false, critical: false };
+    }
+    if (!snapshot?.tokensReady) return;
 
-    svg.appendChild(trackCircle);
-    svg.appendChild(valueCircle);
+    const level = snapshot.usageLevel;
+    const isCritical = level === 'critical';
+    const isWarning = isCritical || level === 'warning';
 
-    return svg;
+    // A chat's first snapshot only sets where it stands; opening a chat that is already over a threshold is not a crossing
+    if (!thresholdState.seeded) {
+        thresholdState = { chatId, seeded: true, warning: isWarning, critical: isCritical };
+        return;
+    }
+
+    // Jumping straight to critical only raises the critical notice
+    if (isCritical && !thresholdState.critical) {
+        queueThresholdNotice({
+            type: 'error',
+            title: 'Context Usage Critical',
+            message: `Context usage is at ${formatPercentage(snapshot.percent)}. Older messages will soon be dropped from the prompt.`,
+        });
+    } else if (isWarning && !thresholdState.warning) {
+        queueThresholdNotice({
+            type: 'warning',
+            title: 'Context Usage Warning',
+            message: `Context usage is at ${formatPercentage(snapshot.percent)}.`,
+        });
+    }
+
+    thresholdState.critical = isCritical;
+    thresholdState.warning = isWarning;
 }
 
 /**
- * Create database icon SVG
+ * Show a threshold notice, throttled so rapid crossings only surface the latest one
  */
-function createDatabaseIcon() {
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', '14');
-    svg.setAttribute('height', '14');
-    svg.setAttribute('viewBox', '0 0 24 24');
-    svg.setAttribute('fill', 'none');
-    svg.setAttribute('stroke', 'currentColor');
-    svg.setAttribute('stroke-width', '2.25');
+function queueThresholdNotice(notice) {
+    pendingThresholdNotice = notice;
+    if (thresholdNoticeTimer) return;
+
+    const wait = lastThresholdNoticeAt + THRESHOLD_NOTICE_INTERVAL - Date.now();
+    if (wait <= 0) {
+        flushThresholdNotice();
+        return;
+    }
+    thresholdNoticeTimer = setTimeout(flushThresholdNotice, wait);
+}
+
+/**
+ * Show the pending threshold notice as a toast, or announce it to screen readers when toasts are off
+ */
+function flushThresholdNotice() {
+    thresholdNoticeTimer = null;
+    const notice = pendingThresholdNotice;
+    pendingThresholdNotice = null;
+    if (!notice) return;
+
+    lastThresholdNoticeAt = Date.now();
+    // Toasts are already announced by their own live region
+    if (getSettings().thresholdToasts) {
+        toastr[notice.type](notice.message, notice.title);
+    } else {
+        announce(`${notice.title}. ${notice.message}`);
+    }
+}
+
+/**
+ * Announce a message through a visually hidden live region
+ */
+function announce(message) {
+    let announcer = document.getElementById(ANNOUNCER_ID);
+    if (!announcer) {
+        announcer = document.createElement('div');
+        announcer.id = ANNOUNCER_ID;
+        announcer.className = 'cui-sr-only';
+        announcer.setAttribute('role', 'status');
+        announcer.setAttribute('aria-live', 'polite');
+        document.body.appendChild(announcer);
+    }
+    // Clearing first makes repeated identical messages announce again
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 100);
+}
+
+/**
+ * Add the projected "next send" usage of the current draft to a snapshot
+ */
+function applyDraftProjection(snapshot) {
+    return projectDraft(snapshot, draftTokens);
+}
+
+/**
+ * Store snapshot, dispatch event and refresh UI
+ */
+function publishSnapshot(snapshot) {
+    latestSnapshot = snapshot;
+
+    document.dispatchEvent(
+        new CustomEvent(CONTEXT_USAGE_UPDATED_EVENT, { detail: snapshot })
+    );
+
+    subscribers.forEach(callback => {
+        try {
+            callback(snapshot);
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Subscriber failed:`, error);
+        }
+    });
+
+    updateUI(snapshot);
+    updateContextMarker(snapshot);
+}
+
+/**
+ * Mark the first chat message included in the prompt when older history is trimmed
+ */
+function updateContextMarker(snapshot) {
+    const chatElement = document.getElementById('chat');
+    if (!chatElement) return;
+
+    chatElement.querySelectorAll('.mes.cui-context-start').forEach(element => {
+        element.classList.remove('cui-context-start');
+    });
+
+    const range = snapshot?.contextMessages;
+    const { enabled, showContextMarker } = getSettings();
+    if (!enabled || !showContextMarker || !range || range.includedCount >= range.totalCount) return;
+
+    chatElement.querySelector(`.mes[mesid="${range.firstIncludedIndex}"]`)?.classList.add('cui-context-start');
+}
+
+/**
+ * Scroll the chat to the first message included in the prompt
+ */
+function scrollToContextStart(range) {
+    const message = document.querySelector(`#chat .mes[mesid="${range?.firstIncludedIndex}"]`);
+    if (!message) {
+        toastr.info('The first message in context is not loaded in the chat view.');
+        return;
+    }
+
+    message.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Create the "N of M messages in context" line with a jump-to-cutoff button
+ */
+function createContextMessagesLine(range) {
+    const line = document.createElement('div');
+    line.className = 'cui-context-messages';
+
+    const text = document.createElement('span');
+    text.className = 'cui-context-messages__text';
+    text.textContent = `${formatNumber(range.includedCount)} of ${formatNumber(range.totalCount)} messages in context`;
+    if (!range.isExact) {
+        text.title = 'Estimated: the last prompt did not record its message count';
+    }
+    line.appendChild(text);
+
+    if (range.includedCount < range.totalCount) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cui-context-messages__jump menu_button fa-solid fa-arrow-up';
+        button.title = 'Scroll to the first message in context';
+        button.setAttribute('aria-label', button.title);
+        button.addEventListener('click', () => scrollToContextStart(range));
+        line.appendChild(button);
+    }
+
+    return line;
+}
+
+/**
+ * Get the current chat's usage history (oldest first)
+ */
+function getUsageHistory() {
+    const history = chat_metadata?.[HISTORY_METADATA_KEY];
+    return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Append a generation's snapshot to the current chat's rolling usage history
+ */
+function recordUsageHistory(snapshot, mesId) {
+    if (!snapshot?.tokensReady || !chat_metadata || !getCurrentChatId()) return;
+
+    const history = getUsageHistory();
+    const entry = {
+        timestamp: Date.now(),
+        messageIndex: mesId,
+        mainApi: snapshot.mainApi,
+        model: snapshot.model,
+        budget: snapshot.budget,
+        contextSize: snapshot.contextSize,
+        responseLength: snapshot.responseLength,
+        totalTokens: snapshot.totalTokens,
+        percent: snapshot.percent,
+        usageLevel: snapshot.usageLevel,
+        chatHistoryTokens: snapshot.chatHistoryTokens,
+        worldInfoTokens: snapshot.worldInfoTokens,
+        characterTokens: snapshot.characterTokens,
+        personaTokens: snapshot.personaTokens,
+        storyStringTokens: snapshot.storyStringTokens,
+        examplesTokens: snapshot.examplesTokens,
+        mediaTokens: snapshot.mediaTokens,
+        toolTokens: snapshot.toolTokens,
+        unaccountedTokens: snapshot.unaccountedTokens,
+    };
+    // The block list is the bulk of an entry, so older entries only keep theirs on request
+    entry.promptBlocks = snapshot.promptBlocks.map(({ key, label, group, tokens }) => ({ key, label, group, tokens }));
+    if (!getSettings().exportPromptBlocks) {
+        history.forEach(previous => delete previous.promptBlocks);
+    }
+    history.push(entry);
+
+    chat_metadata[HISTORY_METADATA_KEY] = history.slice(-HISTORY_MAX_ENTRIES);
+    saveMetadataDebounced();
+}
+
+/**
+ * Build a usage report of the current chat's history
+ */
+function buildUsageReport(includePromptBlocks) {
+    const entries = getUsageHistory().map(entry => {
+        const row = Object.fromEntries(HISTORY_EXPORT_FIELDS.map(field => [field, entry[field] ?? null]));
+        row.timestamp = entry.timestamp ? new Date(entry.timestamp).toISOString() : null;
+        if (includePromptBlocks) {
+            row.promptBlocks = Array.isArray(entry.promptBlocks) ? entry.promptBlocks : null;
+        }
+        return row;
+    });
+
+    return {
+        chatId: getCurrentChatId() ?? null,
+        exportedAt: new Date().toISOString(),
+        includesPromptBlocks: Boolean(includePromptBlocks),
+        entries,
+    };
+}
+
+/**
+ * Export the current chat's usage history as JSON or CSV, optionally saving it as a file
+ */
+function exportUsageReport(format, { includePromptBlocks = getSettings().exportPromptBlocks, save = true } = {}) {
+    const report = buildUsageReport(includePromptBlocks);
+    const isCsv = format === 'csv';
+    const content = isCsv ? usageReportToCsv(report) : JSON.stringify(report, null, 4);
+
+    if (save) {
+        if (report.entries.length === 0) {
+            toastr.info('No usage has been recorded for this chat yet.', 'Context Usage');
+        } else {
+            const fileName = `context-usage-${String(report.chatId ?? 'chat').replace(/[^\w.-]+/g, '_')}.${isCsv ? 'csv' : 'json'}`;
+            download(content, fileName, isCsv ? 'text/csv' : 'application/json');
+        }
+    }
+
+    return content;
+}
+
+/**
+ * Load the bundled default price table
+ */
+async function loadDefaultPrices() {
+    try {
+        const response = await fetch(new URL('./prices.json', import.meta.url));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        defaultPrices = parsePriceTable(await response.json()) ?? {};
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Could not load the default price table:', error);
+    }
+}
+
+/**
+ * Get the user's price table, or the bundled defaults until it has been edited
+ */
+function getPriceTable() {
+    const { priceTable } = getSettings();
+    return priceTable && typeof priceTable === 'object' ? priceTable : defaultPrices;
+}
+
+/**
+ * Get the model the current API will generate with
+ */
+function getActiveModel(mainApi) {
+    try {
+        if (mainApi === 'openai') return getChatCompletionModel() || null;
+        const status = SillyTavern.getContext().onlineStatus;
+        return status && status !== 'no_connection' ? status : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find the price for a model in the active price table
+ */
+function findModelPrice(model) {
+    return findPriceInTable(model, getPriceTable());
+}
+
+/**
+ * Utility: Format a cost, keeping significant digits for fractions of a cent
+ */
+function formatCost(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '—';
+    return (value > 0 && value < 0.01 ? smallCostFormatter : costFormatter).format(value);
+}
+
+/**
+ * Get the running cost of the current chat
+ */
+function getChatCost() {
+    const cost = chat_metadata?.[COST_METADATA_KEY];
+    return cost && typeof cost === 'object' ? cost : { total: 0, generations: 0 };
+}
+
+/**
+ * Add the cost of a finished generation to the chat and session totals
+ * The reply is the generated message itself, whatever has been added to the chat since
+ */
+async function recordGenerationCost(snapshot, mesId) {
+    const price = findModelPrice(snapshot?.model);
+    if (!snapshot?.tokensReady || !price) return;
+
+    const message = Array.isArray(chat) ? chat[mesId] : null;
+    const outputTokens = message && !message.is_user ? await countTextTokens(message.mes) : 0;
+    const cost = calculateCost(price, snapshot.totalTokens, outputTokens);
+
+    sessionCost += cost;
+    if (chat_metadata && getCurrentChatId()) {
+        const chatCost = getChatCost();
+        chat_metadata[COST_METADATA_KEY] = {
+            total: chatCost.total + cost,
+            generations: chatCost.generations + 1,
+        };
+        saveMetadataDebounced();
+    }
+}
+
+/**
+ * Get the character whose section cap overrides apply: the active character, or the speaking group member
+ */
+function getCapCharacter() {
+    if (selected_group) return getGroupSpeaker();
+
+    const ctx = typeof SillyTavern !== 'undefined' ? SillyTavern.getContext() : null;
+    const characterId = Number(ctx?.characterId);
+    const character = Number.isInteger(characterId) ? characters[characterId] : null;
+    return character?.avatar ? character : null;
+}
+
+/**
+ * Get the avatar of the character who wrote a chat message
+ */
+function getMessageAvatar(message) {
+    return message.original_avatar ?? characters.find(x => x.name === message.name)?.avatar;
+}
+
+/**
+ * Get the group member drafted to speak, shared by the group breakdown and the section cap overrides
+ * Before anyone is drafted (e.g. after a reload), the author of the latest reply stands in, then the first enabled member
+ */
+function getGroupSpeaker() {
+    const drafted = Number.isInteger(lastDraftedCharacterId) ? characters[lastDraftedCharacterId] : null;
+    if (drafted?.avatar) return drafted;
+
+    const group = Array.isArray(groups) ? groups.find(x => x.id === selected_group) : null;
+    if (!group) return null;
+
+    const disabledMembers = Array.isArray(group.disabled_members) ? group.disabled_members : [];
+    const members = getGroupMembers(group.id).filter(member => member?.avatar && !disabledMembers.includes(member.avatar));
+    const lastReply = Array.isArray(chat) ? chat.findLast(message => message && !message.is_user && !message.is_system) : null;
+    const lastReplyAvatar = lastReply ? getMessageAvatar(lastReply) : null;
+    return members.find(member => member.avatar === lastReplyAvatar) ?? members[0] ?? null;
+}
+
+/**
+ * Attach the sections that exceed their caps to a snapshot
+ */
+function applySectionCaps(snapshot) {
+    if (!snapshot) return snapshot;
+
+    const { sectionCaps, characterSectionCaps } = getSettings();
+    const character = getCapCharacter();
+    const caps = resolveSectionCaps(sectionCaps, character ? characterSectionCaps[character.avatar] : null);
+    const sectionTokens = getSectionTokens(snapshot.promptBlocks, { character: snapshot.characterTokens, persona: snapshot.personaTokens });
+    const capViolations = snapshot.tokensReady
+        ? evaluateSectionCaps(sectionTokens, caps, snapshot.budget).map(violation => ({
+            ...violation,
+            label: PROMPT_BLOCK_GROUPS.find(group => group.id === violation.section)?.label ?? violation.section,
+        }))
+        : [];
+
+    return { ...snapshot, capViolations };
+}
+
+/**
+ * Attach cost estimates for the next request and the running totals to a snapshot
+ */
+function applyCostEstimate(snapshot) {
+    if (!snapshot) return snapshot;
+
+    const price = snapshot.tokensReady ? findModelPrice(snapshot.model) : null;
+    const inputTokens = snapshot.projectedTokens ?? snapshot.totalTokens;
+    const chatCost = getChatCost();
+
+    return {
+        ...snapshot,
+        cost: {
+            model: snapshot.model,
+            priceKey: price?.key ?? null,
+            inputPrice: price?.input ?? null,
+            outputPrice: price?.output ?? null,
+            nextRequestInput: price ? calculateCost(price, inputTokens, 0) : null,
+            nextRequestMax: price ? calculateCost(price, inputTokens, snapshot.responseLength) : null,
+            chatTotal: chatCost.total,
+            chatGenerations: chatCost.generations,
+            sessionTotal: sessionCost,
+        },
+    };
+}
+
+/**
+ * Remember the World Info entries activated for the last generation
+ * The host awaits this while building the prompt, so tokens are counted later, when the snapshot is built
+ */
+function recordActivatedWorldInfo(entries) {
+    if (!Array.isArray(entries)) return;
+
+    const records = [];
+    for (const entry of entries) {
+        if (!entry) continue;
+        const keys = Array.isArray(entry.key) ? entry.key.filter(Boolean) : [];
+        const position = Number(entry.position);
+        records.push({
+            world: entry.world ?? '',
+            uid: entry.uid,
+            title: entry.comment || keys.join(', ') || `Entry ${entry.uid}`,
+            keys,
+            position,
+            positionLabel: position === WORLD_INFO_AT_DEPTH_POSITION
+                ? `At Depth ${entry.depth ?? WORLD_INFO_DEFAULT_DEPTH}`
+                : WORLD_INFO_POSITION_LABELS[position] ?? 'Unknown',
+            content: entry.content ?? '',
+            tokens: null,
+        });
+    }
+
+    activatedWorldInfo = {
+        chatId: getCurrentChatId(),
+        entries: records,
+        counted: false,
+    };
+}
+
+/**
+ * Get the World Info entries activated for the current chat's last generation, with their token cost
+ */
+async function getActivatedWorldInfoEntries() {
+    const record = activatedWorldInfo;
+    if (!record || record.chatId !== getCurrentChatId()) return [];
+
+    if (!record.counted) {
+        try {
+            for (const entry of record.entries) {
+                entry.tokens ??= await countTextTokens(entry.content);
+            }
+        } catch (error) {
+            console.warn('[ContextUsageIndicator] Error counting World Info entries:', error);
+            return [];
+        }
+        record.entries.sort((a, b) => b.tokens - a.tokens);
+        record.counted = true;
+    }
+
+    return record.entries;
+}
+
+/**
+ * Open a World Info entry in the lorebook editor, paging or searching to it if needed
+ */
+async function openWorldInfoEntry(entry) {
+    if (!entry?.world) return;
+
+    try {
+        openWorldInfoEditor(entry.world);
+
+        const selector = `#world_popup_entries_list .world_entry[uid="${entry.uid}"]`;
+        let found = await waitUntilCondition(() => document.querySelector(selector) !== null, WORLD_INFO_NAVIGATION_TIMEOUT);
+
+        // Entries on other pages only render once the list is filtered down to them
+        const search = document.getElementById('world_info_search');
+        if (!found && search) {
+            search.value = entry.keys[0] || entry.title;
+            search.dispatchEvent(new Event('input', { bubbles: true }));
+            found = await waitUntilCondition(() => document.querySelector(selector) !== null, WORLD_INFO_NAVIGATION_TIMEOUT);
+        }
+
+        const element = document.querySelector(selector);
+        if (!found || !element) {
+            toastr.info(`Opened ${entry.world}, but could not find "${entry.title}" in the entry list.`);
+            return;
+        }
+
+        element.scrollIntoView({ block: 'center' });
+        flashHighlight($(element));
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Could not open World Info entry:', error);
+    }
+}
+
+/**
+ * Update context usage and dispatch event
+ * Requests made while an update is running share one trailing update, so the latest state always wins
+ */
+function updateContextUsage() {
+    if (!getSettings().enabled) return Promise.resolve();
+
+    if (runningUpdate) {
+        queuedUpdate ??= runningUpdate.catch(() => {}).then(() => {
+            queuedUpdate = null;
+            return updateContextUsage();
+        });
+        return queuedUpdate;
+    }
+
+    runningUpdate = runContextUsageUpdate().finally(() => {
+        runningUpdate = null;
+    });
+    return runningUpdate;
+}
+
+/**
+ * Remember a generated message so the snapshot of its prompt is recorded
+ */
+function markGenerationForRecording(messageId, type) {
+    const mesId = Number(messageId);
+    if (!GENERATION_MESSAGE_TYPES.includes(type ?? 'normal') || !Number.isInteger(mesId)) return;
+    pendingGeneration = { chatId: getCurrentChatId(), mesId };
+}
+
+/**
+ * Record the pending generation once the snapshot is built from the itemized prompt that produced it
+ */
+async function recordPendingGeneration(snapshot) {
+    const generation = pendingGeneration;
+    if (!generation || !snapshot?.tokensReady || generation.chatId !== getCurrentChatId()) return;
+    if (Number(getLatestItemizedPrompt(snapshot.mainApi)?.mesId) !== generation.mesId) return;
+
+    pendingGeneration = null;
+    recordUsageHistory(snapshot, generation.mesId);
+    await recordGenerationCost(snapshot, generation.mesId);
+}
+
+/**
+ * Build, record and publish a fresh snapshot
+ * Errors are logged here, so callers never see a rejected update
+ */
+async function runContextUsageUpdate() {
+    try {
+        const snapshot = await buildContextUsageSnapshot();
+        try {
+            await recordPendingGeneration(snapshot);
+        } catch (error) {
+            console.warn('[ContextUsageIndicator] Error recording the generation:', error);
+        }
+        publishSnapshot(applySectionCaps(applyCostEstimate(applyDraftProjection(snapshot))));
+        notifyThresholdCrossings(snapshot);
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Error updating context usage:', error);
+    }
+}
+
+/**
+ * Debounce event-driven updates so bursts of events cost one refresh
+ */
+function scheduleContextUsageUpdate() {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => {
+        updateTimer = null;
+        updateContextUsage();
+    }, UPDATE_DEBOUNCE);
+}
+
+/**
+ * Tokenize the text currently typed in the send textarea
+ */
+async function updateDraftEstimate() {
+    const requestId = ++draftEstimateRequestId;
+    const textarea = document.getElementById('send_textarea');
+    const text = textarea ? String(textarea.value ?? '').trim() : '';
+
+    let tokens = 0;
+    try {
+        tokens = await countTextTokens(text);
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Error counting draft tokens:', error);
+    }
+
+    // A newer keystroke has already started its own count
+    if (requestId !== draftEstimateRequestId) return;
+    if (tokens === draftTokens) return;
+
+    draftTokens = tokens;
+    if (latestSnapshot) {
+        publishSnapshot(applySectionCaps(applyCostEstimate(applyDraftProjection(latestSnapshot))));
+    }
+}
+
+/**
+ * Debounce draft tokenization while the user is typing
+ */
+function scheduleDraftEstimate() {
+    clearTimeout(draftEstimateTimer);
+    const { enabled, liveDraftEstimate, draftDebounce } = getSettings();
+    if (!enabled || !liveDraftEstimate) return;
+    draftEstimateTimer = setTimeout(updateDraftEstimate, Math.max(0, Number(draftDebounce) || 0));
+}
+
+/**
+ * Create SVG ring element
+ */
+function createRingSVG(percent, disabled, projectedPercent = null, segments = null, markers = defaultSettings.ringMarkers) {
+    const safePercent = clampPercent(percent);
+    const strokeDashoffset = RING_CIRCUMFERENCE - (safePercent / 100) * RING_CIRCUMFERENCE;
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'cui-ring');
+    svg.setAttribute('viewBox', '0 0 20 20');
+    svg.setAttribute('role', 'presentation');
+    svg.setAttribute('aria-hidden', 'true');
+
+    const trackCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    trackCircle.setAttribute('cx', '10');
+    trackCircle.setAttribute('cy', '10');
+    trackCircle.setAttribute('r', RING_RADIUS);
+    trackCircle.setAttribute('class', 'cui-ring__track');
+
+    // Add percentage marker lines (25%, 50%, 75%, 100% by default)
+    markers.forEach(percentage => {
+        const angle = (percentage / 100) * 360 - 90; // -90 to start from top
+        const radians = (angle * Math.PI) / 180;
+        // Start from the outer edge of the circle
+        const x1 = 10 + (RING_RADIUS + 1) * Math.cos(radians);
+        const y1 = 10 + (RING_RADIUS + 1) * Math.sin(radians);
+        // Extend inward toward the center
+        const x2 = 10 + (RING_RADIUS - 2) * Math.cos(radians);
+        const y2 = 10 + (RING_RADIUS - 2) * Math.sin(radians);
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', x1);
+        line.setAttribute('y1', y1);
+        line.setAttribute('x2', x2);
+        line.setAttribute('y2', y2);
+        line.setAttribute('class', 'cui-ring__marker');
+        svg.appendChild(line);
+    });
+
+    const valueCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    valueCircle.setAttribute('cx', '10');
+    valueCircle.setAttribute('cy', '10');
+    valueCircle.setAttribute('r', RING_RADIUS);
+    valueCircle.setAttribute('class', `cui-ring__value${disabled ? ' is-disabled' : ''}`);
+    valueCircle.setAttribute('stroke-dasharray', `${RING_CIRCUMFERENCE} ${RING_CIRCUMFERENCE}`);
+    valueCircle.setAttribute('stroke-dashoffset', strokeDashoffset);
+
+    svg.appendChild(trackCircle);
+
+    // Projected "next send" arc sits underneath the committed value arc
+    if (!disabled && typeof projectedPercent === 'number' && projectedPercent > safePercent) {
+        const safeProjected = clampPercent(projectedPercent);
+        const projectedCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        projectedCircle.setAttribute('cx', '10');
+        projectedCircle.setAttribute('cy', '10');
+        projectedCircle.setAttribute('r', RING_RADIUS);
+        projectedCircle.setAttribute('class', 'cui-ring__projected');
+        projectedCircle.setAttribute('stroke-dasharray', `${RING_CIRCUMFERENCE} ${RING_CIRCUMFERENCE}`);
+        projectedCircle.setAttribute('stroke-dashoffset', RING_CIRCUMFERENCE - (safeProjected / 100) * RING_CIRCUMFERENCE);
+        svg.appendChild(projectedCircle);
+    }
+
+    if (!disabled && Array.isArray(segments) && segments.length > 0) {
+        // One arc per category, laid end to end and capped at a full circle
+        let offsetPercent = 0;
+        segments.forEach(segment => {
+            const segmentPercent = Math.min(segment.percent, 100 - offsetPercent);
+            if (!(segmentPercent > 0)) return;
+
+            const length = (segmentPercent / 100) * RING_CIRCUMFERENCE;
+            const segmentCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            segmentCircle.setAttribute('cx', '10');
+            segmentCircle.setAttribute('cy', '10');
+            segmentCircle.setAttribute('r', RING_RADIUS);
+            segmentCircle.setAttribute('class', `cui-ring__segment cui-segment--${segment.id}`);
+            segmentCircle.setAttribute('stroke-dasharray', `${length} ${RING_CIRCUMFERENCE}`);
+            segmentCircle.setAttribute('stroke-dashoffset', -(offsetPercent / 100) * RING_CIRCUMFERENCE);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `${segment.label}: ${formatNumber(segment.tokens)} tokens`;
+            segmentCircle.appendChild(title);
+
+            svg.appendChild(segmentCircle);
+            offsetPercent += segmentPercent;
+        });
+    } else {
+        svg.appendChild(valueCircle);
+    }
+
+    return svg;
+}
+
+/**
+ * Create the compact text badge ("12.4K / 32K"), with the typed draft as a "+N" suffix
+ */
+function createUsageBadge(snapshot, hasUsage) {
+    const isContextBasis = getSettings().percentBasis === 'context' && snapshot?.contextSize > 0;
+    const base = isContextBasis ? snapshot.contextSize : snapshot?.budget;
+
+    const badge = document.createElement('span');
+    badge.className = 'cui-badge';
+    badge.setAttribute('aria-hidden', 'true');
+
+    const used = document.createElement('span');
+    used.className = 'cui-badge__used';
+    used.textContent = hasUsage ? compactNumberFormatter.format(snapshot?.totalTokens ?? 0) : '—';
+    badge.appendChild(used);
+
+    if (base > 0) {
+        badge.appendChild(document.createTextNode(` / ${compactNumberFormatter.format(base)}`));
+    }
+
+    if (hasUsage && typeof snapshot?.projectedTokens === 'number' && snapshot.projectedTokens > snapshot.totalTokens) {
+        const projected = document.createElement('span');
+        projected.className = 'cui-badge__projected';
+        projected.textContent = ` +${compactNumberFormatter.format(snapshot.projectedTokens - snapshot.totalTokens)}`;
+        badge.appendChild(projected);
+    }
+
+    return badge;
+}
+
+/**
+ * Create the thin horizontal bar, the linear counterpart of createRingSVG
+ */
+function createUsageBar(percent, disabled, projectedPercent = null, segments = null, markers = defaultSettings.ringMarkers) {
+    const safePercent = clampPercent(percent);
+
+    const bar = document.createElement('div');
+    bar.className = 'cui-bar';
+    bar.setAttribute('aria-hidden', 'true');
+
+    // Projected "next send" fill sits underneath the committed value
+    if (!disabled && typeof projectedPercent === 'number' && projectedPercent > safePercent) {
+        const projected = document.createElement('div');
+        projected.className = 'cui-bar__projected';
+        projected.style.width = `${clampPercent(projectedPercent)}%`;
+        bar.appendChild(projected);
+    }
+
+    if (!disabled && Array.isArray(segments) && segments.length > 0) {
+        // One block per category, laid end to end and capped at the full width
+        let offsetPercent = 0;
+        segments.forEach(segment => {
+            const segmentPercent = Math.min(segment.percent, 100 - offsetPercent);
+            if (!(segmentPercent > 0)) return;
+
+            const block = document.createElement('div');
+            block.className = `cui-bar__segment cui-segment--${segment.id}`;
+            block.style.left = `${offsetPercent}%`;
+            block.style.width = `${segmentPercent}%`;
+            block.title = `${segment.label}: ${formatNumber(segment.tokens)} tokens`;
+            bar.appendChild(block);
+            offsetPercent += segmentPercent;
+        });
+    } else {
+        const value = document.createElement('div');
+        value.className = `cui-bar__value${disabled ? ' is-disabled' : ''}`;
+        value.style.width = `${disabled ? 0 : safePercent}%`;
+        bar.appendChild(value);
+    }
+
+    // Markers at the ends of the bar would sit on its edges
+    markers.filter(percentage => percentage > 0 && percentage < 100).forEach(percentage => {
+        const marker = document.createElement('div');
+        marker.className = 'cui-bar__marker';
+        marker.style.left = `${percentage}%`;
+        bar.appendChild(marker);
+    });
+
+    return bar;
+}
+
+/**
+ * Create the trigger content for the configured display mode
+ */
+function createIndicator(snapshot) {
+    const { displayMode, segmentedRing, ringMarkers } = getSettings();
+    const hasUsage = Boolean(snapshot?.tokensReady) && Boolean(snapshot?.showPromptSection);
+    const percent = hasUsage ? clampPercent(snapshot?.percent ?? 0) : 0;
+    const projectedPercent = hasUsage && typeof snapshot?.projectedPercent === 'number' ? snapshot.projectedPercent : null;
+    const segments = segmentedRing ? getRingSegments(snapshot) : null;
+
+    if (displayMode === 'badge') {
+        return [createUsageBadge(snapshot, hasUsage)];
+    }
+    if (displayMode === 'bar') {
+        return [createUsageBar(percent, !hasUsage, projectedPercent, segments, ringMarkers)];
+    }
+
+    const ring = createRingSVG(percent, !hasUsage, projectedPercent, segments, ringMarkers);
+    // The floating widget has room for the numbers next to the ring
+    return displayMode === 'floating' ? [ring, createUsageBadge(snapshot, hasUsage)] : [ring];
+}
+
+/**
+ * Create database icon SVG
+ */
+function createDatabaseIcon() {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '14');
+    svg.setAttribute('height', '14');
+    svg.setAttribute('viewBox', '0 0 24 24');
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2.25');
     svg.setAttribute('stroke-linecap', 'round');
     svg.setAttribute('stroke-linejoin', 'round');
 
-    // Database-zap icon paths
-    const paths = [
-        'M 12 5 a 9 3 0 1 0 0 0.01',
-        'M 3 5 V 19 A 9 3 0 0 0 15 21.84',
-        'M 21 5 V 8',
-        'M 21 12 L 18 17 H 22 L 19 22',
-        'M 3 12 A 9 3 0 0 0 14.59 14.87'
-    ];
+    // Database-zap icon paths
+    const paths = [
+        'M 12 5 a 9 3 0 1 0 0 0.01',
+        'M 3 5 V 19 A 9 3 0 0 0 15 21.84',
+        'M 21 5 V 8',
+        'M 21 12 L 18 17 H 22 L 19 22',
+        'M 3 12 A 9 3 0 0 0 14.59 14.87'
+    ];
+
+    paths.forEach(d => {
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', d);
+        svg.appendChild(path);
+    });
+
+    return svg;
+}
+
+/**
+ * Create a label/value text row
+ */
+function createTextRow({ label, value, className, title }) {
+    const row = document.createElement('div');
+    row.className = className ? `cui-text-row ${className}` : 'cui-text-row';
+    if (title) {
+        row.title = title;
+    }
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'cui-text-row__label';
+    labelSpan.textContent = label;
+    if (!title) {
+        labelSpan.title = label;
+    }
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'cui-text-row__value';
+    valueSpan.textContent = value;
+
+    row.appendChild(labelSpan);
+    row.appendChild(valueSpan);
+    return row;
+}
+
+/**
+ * Explain how the total was counted
+ */
+function getTokenizerRowTitle(usage) {
+    if (usage.countIsExact) return 'Counted with the active model\'s tokenizer';
+    if (usage.mainApi === 'openai' && getSettings().countingMode !== 'exact') {
+        return 'Joined message text without per-message overhead; set Token counting to Exact in the extension settings';
+    }
+    return 'Approximate: chat-template overhead, media attachments or tool definitions are estimated';
+}
+
+/**
+ * Describe how far a section is over its cap
+ */
+function getCapViolationText(violation) {
+    const share = violation.overByPercent !== null ? ` (${formatPercentage(violation.overByPercent)})` : '';
+    const budgetShare = violation.cap.endsWith('%') ? `, ${violation.cap} of the budget` : '';
+    const source = violation.source === 'character' ? ', set for this character' : '';
+    return `${violation.label}: ${formatNumber(violation.tokens)} tokens, ${formatNumber(violation.overBy)}${share} over the cap of ${formatNumber(violation.limit)}${budgetShare}${source}`;
+}
+
+/**
+ * Build grouped breakdown rows from the snapshot's prompt blocks
+ */
+function getBreakdownRows(usage) {
+    const blocks = Array.isArray(usage?.promptBlocks) ? usage.promptBlocks : [];
+    const { hiddenBreakdownRows, showPromptBlocks } = getSettings();
+    const rows = [];
+
+    PROMPT_BLOCK_GROUPS.filter(group => !hiddenBreakdownRows.includes(group.id)).forEach(group => {
+        const groupBlocks = blocks
+            .filter(block => block.group === group.id)
+            .sort((a, b) => b.tokens - a.tokens);
+        // World Info stays listed while it has activated entries, even if they were all injected elsewhere
+        const hasWorldInfoEntries = group.id === 'worldInfo' && usage?.worldInfoEntries?.length > 0;
+        if (groupBlocks.length === 0 && !hasWorldInfoEntries) return;
+
+        const subtotal = groupBlocks.reduce((sum, block) => sum + block.tokens, 0);
+        const violation = usage?.capViolations?.find(entry => entry.section === group.id);
+        rows.push(violation
+            ? {
+                label: group.label,
+                value: `${formatNumber(subtotal)} / ${formatNumber(violation.limit)}`,
+                className: 'cui-text-row--group cui-text-row--over-cap',
+                title: getCapViolationText(violation),
+                groupId: group.id,
+            }
+            : { label: group.label, value: formatNumber(subtotal), className: 'cui-text-row--group', groupId: group.id });
+
+        // A lone block named like its group would only repeat the header
+        if (showPromptBlocks && (groupBlocks.length > 1 || groupBlocks[0]?.label !== group.label)) {
+            groupBlocks.forEach(block => {
+                rows.push({ label: block.label, value: formatNumber(block.tokens), className: 'cui-text-row--block' });
+            });
+        }
+    });
+
+    const unaccounted = usage?.unaccountedTokens;
+    const showUnaccounted = !hiddenBreakdownRows.includes('unaccounted');
+    if (showUnaccounted && typeof unaccounted === 'number' && Number.isFinite(unaccounted) && Math.round(unaccounted) !== 0) {
+        rows.push({
+            label: 'Other/Unaccounted',
+            value: `${unaccounted < 0 ? '−' : ''}${formatNumber(Math.abs(unaccounted))}`,
+            className: 'cui-text-row--group cui-text-row--unaccounted',
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Create a sparkline of total tokens over recent generations, with the budget overlaid
+ */
+function createHistorySparkline(history) {
+    const entries = history.filter(entry => typeof entry?.totalTokens === 'number');
+    if (entries.length === 0) return null;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cui-history';
+
+    const maxValue = Math.max(1, ...entries.map(entry => Math.max(entry.totalTokens, entry.budget || 0)));
+    const stepX = entries.length > 1 ? SPARKLINE_WIDTH / (entries.length - 1) : 0;
+    // Leave a pixel of headroom so the lines are not clipped at the edges
+    const toY = (value) => 1 + (SPARKLINE_HEIGHT - 2) * (1 - Math.max(0, value) / maxValue);
+    const toPoints = (field) => entries
+        .map((entry, index) => `${(entries.length > 1 ? index * stepX : SPARKLINE_WIDTH / 2).toFixed(1)},${toY(entry[field] || 0).toFixed(1)}`)
+        .join(' ');
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'cui-history__chart');
+    svg.setAttribute('viewBox', `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `Total tokens over the last ${entries.length} generations`);
+
+    const budgetLine = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    budgetLine.setAttribute('class', 'cui-history__budget');
+    budgetLine.setAttribute('points', toPoints('budget'));
+    svg.appendChild(budgetLine);
+
+    const totalLine = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    totalLine.setAttribute('class', 'cui-history__total');
+    totalLine.setAttribute('points', toPoints('totalTokens'));
+    svg.appendChild(totalLine);
+
+    const last = entries[entries.length - 1];
+    const lastPoint = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    lastPoint.setAttribute('class', 'cui-history__point');
+    lastPoint.setAttribute('cx', entries.length > 1 ? SPARKLINE_WIDTH : SPARKLINE_WIDTH / 2);
+    lastPoint.setAttribute('cy', toY(last.totalTokens));
+    lastPoint.setAttribute('r', '2');
+    svg.appendChild(lastPoint);
+
+    const delta = last.totalTokens - entries[0].totalTokens;
+    const caption = document.createElement('div');
+    caption.className = 'cui-history__caption';
+    caption.textContent = entries.length > 1
+        ? `Last ${entries.length} generations · ${delta < 0 ? '−' : '+'}${formatNumber(Math.abs(delta))}`
+        : 'Last generation';
+
+    wrapper.appendChild(svg);
+    wrapper.appendChild(caption);
+    return wrapper;
+}
+
+/**
+ * Run a handler on click, Enter or Space, for elements acting as buttons
+ */
+function onActivate(element, handler) {
+    element.addEventListener('click', handler);
+    element.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            handler(e);
+        }
+    });
+}
+
+/**
+ * Make a text row a toggle for the panel below it; onToggle keeps the state across re-renders
+ */
+function makeRowExpandable(row, panel, expanded, onToggle) {
+    row.classList.add('cui-text-row--expandable');
+    row.setAttribute('role', 'button');
+    row.tabIndex = 0;
+    row.setAttribute('aria-expanded', String(expanded));
+    panel.hidden = !expanded;
+
+    const chevron = document.createElement('i');
+    chevron.className = 'fa-solid fa-chevron-right cui-text-row__chevron';
+    chevron.setAttribute('aria-hidden', 'true');
+    row.querySelector('.cui-text-row__label').prepend(chevron);
+
+    onActivate(row, () => {
+        const isExpanded = row.getAttribute('aria-expanded') !== 'true';
+        row.setAttribute('aria-expanded', String(isExpanded));
+        panel.hidden = !isExpanded;
+        onToggle(isExpanded);
+    });
+}
+
+/**
+ * Create the list of activated World Info entries, most expensive first
+ */
+function createWorldInfoEntryList(entries) {
+    const list = document.createElement('div');
+    list.className = 'cui-wi-entries';
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'cui-wi-entry';
+        item.setAttribute('role', 'button');
+        item.tabIndex = 0;
+        item.title = [
+            entry.keys.length ? `Keys: ${entry.keys.join(', ')}` : 'No keys (constant or vector match)',
+            'Click to open in the World Info editor',
+        ].join('\n');
+
+        const row = createTextRow({ label: entry.title, value: formatNumber(entry.tokens), className: 'cui-text-row--block' });
+        const meta = document.createElement('span');
+        meta.className = 'cui-wi-entry__meta';
+        meta.textContent = `${entry.world} · ${entry.positionLabel}`;
+
+        item.appendChild(row);
+        item.appendChild(meta);
+        onActivate(item, () => {
+            if (isPopoverVisible) {
+                togglePopover();
+            }
+            openWorldInfoEntry(entry);
+        });
+        list.appendChild(item);
+    });
+
+    return list;
+}
+
+/**
+ * Create the group chat section: speaker and joined card costs, then per-member card and history tokens
+ */
+function createGroupSection(group) {
+    const section = document.createElement('div');
+    section.className = 'cui-group';
+
+    const heading = document.createElement('div');
+    heading.className = 'cui-group__heading';
+    heading.textContent = `Group · ${group.name}`;
+    section.appendChild(heading);
+
+    const summary = document.createElement('div');
+    summary.className = 'cui-text-grid--primary';
+    [
+        ...(group.speaker ? [{
+            label: `Speaking: ${group.speaker.name}`,
+            value: formatNumber(group.speaker.cardTokens),
+            title: 'Card tokens (description, personality, scenario) of the character drafted for the last generation',
+        }] : []),
+        ...(group.joinMode ? [{
+            label: 'Joined Cards',
+            value: formatNumber(group.combinedCardTokens),
+            title: 'Combined card tokens while the group joins character cards',
+        }] : []),
+    ].forEach(stat => {
+        summary.appendChild(createTextRow(stat));
+    });
+    section.appendChild(summary);
+
+    const table = document.createElement('div');
+    table.className = 'cui-group__members';
+    table.setAttribute('role', 'table');
+    table.setAttribute('aria-label', 'Tokens per group member');
+
+    const addRow = (cells, className, title) => {
+        const row = document.createElement('div');
+        row.className = `cui-group__row ${className}`;
+        row.setAttribute('role', 'row');
+        if (title) row.title = title;
+        cells.forEach((text, index) => {
+            const cell = document.createElement('span');
+            cell.setAttribute('role', className === 'cui-group__row--header' ? 'columnheader' : index === 0 ? 'rowheader' : 'cell');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    };
+
+    addRow(['Member', 'Card', 'Chat'], 'cui-group__row--header');
+    group.members.forEach(member => {
+        const className = [member.isSpeaker && 'cui-group__row--speaker', member.disabled && 'cui-group__row--muted']
+            .filter(Boolean)
+            .join(' ');
+        addRow(
+            [member.name, formatNumber(member.cardTokens), formatNumber(member.historyTokens)],
+            className,
+            member.disabled ? `${member.name} is muted` : undefined,
+        );
+    });
+    if (group.userHistoryTokens > 0) {
+        addRow(['You', '—', formatNumber(group.userHistoryTokens)], 'cui-group__row--user');
+    }
+    section.appendChild(table);
+
+    return section;
+}
+
+/**
+ * Create the cost panel: next request, current chat and session totals
+ */
+function createCostSection(cost, responseLength) {
+    const section = document.createElement('div');
+    section.className = 'cui-cost';
+
+    const heading = document.createElement('div');
+    heading.className = 'cui-cost__heading';
+    heading.textContent = cost.priceKey ? `Cost · ${cost.model}` : 'Cost';
+    if (cost.priceKey) {
+        heading.title = `Priced as ${cost.priceKey}: $${cost.inputPrice} input / $${cost.outputPrice} output per 1M tokens`;
+    }
+    section.appendChild(heading);
+
+    if (!cost.priceKey) {
+        const notice = document.createElement('p');
+        notice.className = 'cui-cost__notice';
+        notice.textContent = cost.model
+            ? `No price for ${cost.model}. Add it to the price table in the extension settings.`
+            : 'No model is connected.';
+        section.appendChild(notice);
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'cui-text-grid--primary';
+    [
+        ...(cost.priceKey ? [{
+            label: 'Next Request',
+            value: `≤ ${formatCost(cost.nextRequestMax)}`,
+            title: `${formatCost(cost.nextRequestInput)} for the prompt, plus up to ${formatCost(cost.nextRequestMax - cost.nextRequestInput)} for a ${formatNumber(responseLength)}-token response`,
+        }] : []),
+        {
+            label: 'This Chat',
+            value: formatCost(cost.chatTotal),
+            title: `${formatNumber(cost.chatGenerations)} priced generations in this chat`,
+        },
+        { label: 'Session', value: formatCost(cost.sessionTotal), title: 'Priced generations since SillyTavern was opened' },
+    ].forEach(stat => {
+        grid.appendChild(createTextRow(stat));
+    });
+    section.appendChild(grid);
+
+    return section;
+}
+
+/**
+ * Create the history export buttons
+ */
+function createExportLine() {
+    const line = document.createElement('div');
+    line.className = 'cui-export';
+
+    const text = document.createElement('span');
+    text.className = 'cui-export__text';
+    text.textContent = 'Export history';
+    line.appendChild(text);
+
+    const hasHistory = getUsageHistory().length > 0;
+    [
+        { format: 'json', label: 'JSON' },
+        { format: 'csv', label: 'CSV' },
+    ].forEach(({ format, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cui-export__button menu_button';
+        button.textContent = label;
+        button.title = hasHistory
+            ? `Download this chat's usage history as ${label}`
+            : 'No usage has been recorded for this chat yet';
+        button.disabled = !hasHistory;
+        button.addEventListener('click', () => exportUsageReport(format));
+        line.appendChild(button);
+    });
+
+    return line;
+}
+
+/**
+ * Flatten the prompt manager's last message collection into sent messages, tagged with their top-level block
+ */
+function getPromptManagerMessages() {
+    const collection = promptManager?.messages?.collection;
+    if (!Array.isArray(collection)) return [];
+
+    const messages = [];
+    const visit = (item, blockKey) => {
+        if (Array.isArray(item?.collection)) {
+            item.collection.forEach(child => visit(child, blockKey));
+        } else if (item?.content || item?.tool_calls) {
+            messages.push({ blockKey, role: item.role, text: normalizeMessageContent(item.content).text });
+        }
+    };
+    collection.forEach(item => visit(item, item?.identifier));
+    return messages;
+}
+
+/**
+ * List the messages of the latest itemized prompt with their source block and token count
+ */
+async function buildPromptInspection(snapshot) {
+    const rawPrompt = getLatestItemizedPrompt(snapshot?.mainApi)?.rawPrompt;
+    if (typeof rawPrompt === 'string') {
+        // Text-completion prompts are a single string
+        const tokens = await countTextTokens(rawPrompt);
+        return [{ index: 0, role: 'prompt', source: 'Final Prompt', text: rawPrompt, tokens, hasMedia: false }];
+    }
+    if (!Array.isArray(rawPrompt)) return [];
+
+    // Messages carry no identifiers once sent, so they are matched in order against the prompt manager's collection
+    const managed = getPromptManagerMessages();
+    let cursor = 0;
+    const exactTokens = Array.isArray(snapshot.messageTokens) && snapshot.messageTokens.length === rawPrompt.length
+        ? snapshot.messageTokens
+        : null;
+
+    const messages = [];
+    for (const [index, message] of rawPrompt.entries()) {
+        const { text, mediaParts } = normalizeMessageContent(message?.content);
+        const matchIndex = managed.findIndex((entry, i) => i >= cursor && entry.role === message?.role && entry.text === text);
+        let source = null;
+        if (matchIndex >= 0) {
+            cursor = matchIndex + 1;
+            source = describePromptBlock(managed[matchIndex].blockKey).label;
+        }
+
+        const textTokens = exactTokens ? exactTokens[index] : await countTextTokens(text || (message?.tool_calls ? JSON.stringify(message.tool_calls) : ''));
+        const mediaTokens = mediaParts > 0 ? await countPromptMediaTokens([message]) : 0;
+        messages.push({
+            index,
+            role: String(message?.role ?? 'unknown'),
+            source,
+            text: text || (message?.tool_calls ? JSON.stringify(message.tool_calls, null, 2) : ''),
+            tokens: textTokens + mediaTokens,
+            hasMedia: mediaParts > 0,
+        });
+    }
+    return messages;
+}
+
+/**
+ * Create one message of the prompt inspector
+ */
+function createInspectorMessage(message, totalTokens) {
+    const share = totalTokens > 0 ? (message.tokens / totalTokens) * 100 : 0;
+
+    const item = document.createElement('details');
+    item.className = 'cui-inspector__message';
+
+    const summary = document.createElement('summary');
+    summary.className = 'cui-inspector__summary';
+
+    const index = document.createElement('span');
+    index.className = 'cui-inspector__index';
+    index.textContent = `#${message.index + 1}`;
+
+    const role = document.createElement('span');
+    role.className = `cui-inspector__role cui-inspector__role--${message.role}`;
+    role.textContent = message.role;
+
+    const source = document.createElement('span');
+    source.className = 'cui-inspector__source';
+    source.textContent = message.source ?? 'Unknown source';
+    if (!message.source) {
+        source.title = 'Not found in the prompt manager\'s last build (added by an extension, or the prompt was rebuilt since)';
+    }
+
+    const tokens = document.createElement('span');
+    tokens.className = 'cui-inspector__tokens';
+    tokens.textContent = `${formatNumber(message.tokens)} · ${formatPercentage(share)}`;
+    if (message.hasMedia) {
+        tokens.title = 'Includes estimated tokens for images, video or audio';
+    }
+
+    const bar = document.createElement('span');
+    bar.className = 'cui-inspector__bar';
+    bar.setAttribute('aria-hidden', 'true');
+    bar.style.width = `${clampPercent(share)}%`;
+
+    summary.append(index, role, source, tokens, bar);
+
+    const content = document.createElement('pre');
+    content.className = 'cui-inspector__content';
+    content.textContent = message.text || (message.hasMedia ? '(media only)' : '(empty)');
+
+    item.append(summary, content);
+    return item;
+}
+
+/**
+ * Open the prompt inspector for the latest itemized prompt
+ */
+async function openPromptInspector() {
+    const snapshot = latestSnapshot;
+    let messages = [];
+    try {
+        messages = await buildPromptInspection(snapshot);
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Error inspecting the prompt:', error);
+    }
+    if (messages.length === 0) {
+        toastr.info('No prompt has been generated with the current API yet.', 'Context Usage');
+        return;
+    }
+
+    const totalTokens = messages.reduce((sum, message) => sum + message.tokens, 0);
+
+    const container = document.createElement('div');
+    container.className = 'cui-inspector';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Prompt Inspector';
+
+    const summaryLine = document.createElement('div');
+    summaryLine.className = 'cui-inspector__meta';
+    // The tokenizer is often named after the model itself
+    summaryLine.textContent = [...new Set([
+        `${formatNumber(messages.length)} messages`,
+        `${formatNumber(totalTokens)} tokens`,
+        snapshot?.model,
+        snapshot?.tokenizerName,
+    ])].filter(Boolean).join(' · ');
+
+    const controls = document.createElement('div');
+    controls.className = 'cui-inspector__controls';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'text_pole';
+    search.placeholder = 'Search messages';
+    search.setAttribute('aria-label', 'Search messages');
+
+    const sort = document.createElement('select');
+    sort.className = 'text_pole';
+    sort.setAttribute('aria-label', 'Sort messages');
+    [
+        { value: 'order', label: 'Prompt order' },
+        { value: 'largest', label: 'Largest first' },
+    ].forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        sort.appendChild(option);
+    });
+
+    controls.append(search, sort);
+
+    const status = document.createElement('div');
+    status.className = 'cui-inspector__meta';
+    status.setAttribute('aria-live', 'polite');
+
+    const list = document.createElement('div');
+    list.className = 'cui-inspector__list';
+
+    const render = () => {
+        const query = search.value.trim().toLowerCase();
+        const visible = messages.filter(message => !query || [message.text, message.role, message.source ?? '']
+            .some(value => value.toLowerCase().includes(query)));
+        if (sort.value === 'largest') {
+            visible.sort((a, b) => b.tokens - a.tokens || a.index - b.index);
+        }
+
+        list.replaceChildren(...visible.map(message => createInspectorMessage(message, totalTokens)));
+        const visibleTokens = visible.reduce((sum, message) => sum + message.tokens, 0);
+        status.textContent = query
+            ? `${formatNumber(visible.length)} of ${formatNumber(messages.length)} messages match · ${formatNumber(visibleTokens)} tokens`
+            : '';
+    };
+    search.addEventListener('input', render);
+    sort.addEventListener('change', render);
+    render();
+
+    container.append(heading, summaryLine, controls, status, list);
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Create the button that opens the prompt inspector
+ */
+function createInspectButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'cui-inspect-button menu_button menu_button_icon';
+    button.title = 'List the messages of the latest prompt with their token counts';
+
+    const icon = document.createElement('i');
+    icon.className = 'fa-solid fa-magnifying-glass';
+    icon.setAttribute('aria-hidden', 'true');
+    const text = document.createElement('span');
+    text.textContent = 'Inspect prompt';
+
+    button.append(icon, text);
+    button.addEventListener('click', () => {
+        if (isPopoverVisible) {
+            togglePopover();
+        }
+        openPromptInspector();
+    });
+    return button;
+}
+
+/**
+ * Get the simulator key of the tokenizer the current prompt was counted with
+ */
+function getSimulatorTokenizerKey(mainApi) {
+    const key = mainApi === 'openai'
+        ? guessTokenizerForModel(getTokenizerModel())
+        : getTokenizerInfo(mainApi)?.key?.replace(/_/g, '-');
+    return SIMULATOR_TOKENIZERS.some(tokenizer => tokenizer.key === key) ? key : null;
+}
+
+/**
+ * Get the text of the latest prompt, used to compare tokenizers
+ */
+function getSimulatorSample(mainApi) {
+    const prompt = getLatestItemizedPrompt(mainApi);
+    const text = Array.isArray(prompt?.rawPrompt)
+        ? prompt.rawPrompt.map(message => normalizeMessageContent(message?.content).text).filter(Boolean).join('\n')
+        : prompt?.finalPrompt || prompt?.rawPrompt;
+    return typeof text === 'string' ? text.slice(0, SIMULATOR_SAMPLE_LENGTH) : '';
+}
+
+/**
+ * Count tokens with one of SillyTavern's server-side tokenizers
+ */
+async function countWithTokenizer(key, text) {
+    const query = key === 'openai' ? '?model=gpt-4o' : '';
+    const response = await fetch(`/api/tokenizers/${key}/encode${query}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ text }),
+    });
+    if (!response.ok) {
+        throw new Error(`Tokenizer ${key} returned ${response.status}`);
+    }
+    const data = await response.json();
+    return Number(data?.count ?? data?.ids?.length) || 0;
+}
+
+/**
+ * Measure how many tokens another tokenizer uses for the latest prompt, relative to the current one
+ * @returns {Promise<number|null>} Token count ratio, or null when it could not be measured
+ */
+async function getTokenizerRatio(targetKey, mainApi) {
+    const currentKey = getSimulatorTokenizerKey(mainApi);
+    if (!targetKey || targetKey === currentKey) return 1;
+
+    const sample = getSimulatorSample(mainApi);
+    if (!sample) return null;
+
+    const cacheKey = `${targetKey}:${currentKey ?? mainApi}:${getStringHash(sample)}`;
+    if (!tokenizerRatioCache.has(cacheKey)) {
+        const pending = measureTokenizerRatio(targetKey, currentKey, sample).then(ratio => {
+            // Failed measurements are retried next time
+            if (ratio === null && tokenizerRatioCache.get(cacheKey) === pending) {
+                tokenizerRatioCache.delete(cacheKey);
+            }
+            return ratio;
+        });
+        tokenizerRatioCache.set(cacheKey, pending);
+    }
+    return tokenizerRatioCache.get(cacheKey);
+}
+
+/**
+ * Count a sample with two tokenizers and return the ratio between them
+ */
+async function measureTokenizerRatio(targetKey, currentKey, sample) {
+    try {
+        // Both sides go through the server when possible, so the ratio is not skewed by per-prompt padding
+        const targetTokens = await countWithTokenizer(targetKey, sample);
+        const currentTokens = currentKey ? await countWithTokenizer(currentKey, sample) : await countTextTokens(sample);
+        return targetTokens > 0 && currentTokens > 0 ? targetTokens / currentTokens : null;
+    } catch (error) {
+        console.warn(`[ContextUsageIndicator] Could not count the prompt with the ${targetKey} tokenizer:`, error);
+        return null;
+    }
+}
+
+/**
+ * Get the label of a simulator tokenizer
+ */
+function getSimulatorTokenizerLabel(key) {
+    return SIMULATOR_TOKENIZERS.find(tokenizer => tokenizer.key === key)?.label ?? key;
+}
+
+/**
+ * Get the host-wide context size and response length of an API, used when a preset does not set them
+ */
+function getApiLimits(api) {
+    return api === 'openai'
+        ? { contextSize: oai_settings?.openai_max_context, responseLength: oai_settings?.openai_max_tokens }
+        : { contextSize: max_context, responseLength: amount_gen };
+}
+
+/**
+ * List the completion presets saved for an API
+ * @returns {{name: string, preset: object}[]}
+ */
+function getCompletionPresets(api) {
+    try {
+        const manager = getPresetManager(api);
+        if (!manager) return [];
+
+        const { presets, preset_names } = manager.getPresetList(api);
+        // Some APIs keep an array of names, others a map of name to index
+        const entries = Array.isArray(preset_names)
+            ? preset_names.map((name, index) => [name, index])
+            : Object.entries(preset_names ?? {});
+        return entries
+            .map(([name, index]) => ({ name, preset: presets?.[index] }))
+            .filter(({ preset }) => preset && typeof preset === 'object');
+    } catch (error) {
+        console.warn(`[ContextUsageIndicator] Could not read the ${api} presets:`, error);
+        return [];
+    }
+}
+
+/**
+ * Turn a Connection Manager profile into a simulator scenario
+ */
+function getProfileScenario(profile) {
+    const api = profile.mode === 'cc' ? 'openai' : PROFILE_MAIN_APIS[profile.api] ?? 'textgenerationwebui';
+    const preset = profile.preset ? getCompletionPresets(api).find(({ name }) => name === profile.preset)?.preset : null;
+    const tokenizer = api === 'openai'
+        ? guessTokenizerForModel(profile.model)
+        : profile.tokenizer?.replace(/_/g, '-');
+
+    return {
+        name: profile.name,
+        ...resolvePresetLimits(api, preset, getApiLimits(api)),
+        tokenizer: SIMULATOR_TOKENIZERS.some(entry => entry.key === tokenizer) ? tokenizer : null,
+        description: [profile.api, profile.model, profile.preset].filter(Boolean).join(' · '),
+    };
+}
+
+/**
+ * Collect the custom scenario, saved connection profiles and presets of the current API
+ */
+function getSimulatorScenarios(usage) {
+    const scenarios = [{
+        name: 'Custom',
+        contextSize: simulatorInputs.contextSize ?? usage.contextSize,
+        responseLength: simulatorInputs.responseLength ?? usage.responseLength,
+        tokenizer: simulatorInputs.tokenizer || null,
+        description: 'The values entered above',
+    }];
+
+    const profiles = extension_settings.connectionManager?.profiles;
+    if (Array.isArray(profiles)) {
+        profiles
+            .filter(profile => profile?.name)
+            .forEach(profile => scenarios.push({ ...getProfileScenario(profile), kind: 'profile' }));
+    }
+
+    // Presets without their own context size would only repeat the current settings
+    getCompletionPresets(usage.mainApi).forEach(({ name, preset }) => {
+        const limits = resolvePresetLimits(usage.mainApi, preset, getApiLimits(usage.mainApi));
+        if (limits.fromPreset) {
+            scenarios.push({ name, ...limits, tokenizer: null, description: 'Preset', kind: 'preset' });
+        }
+    });
+
+    return scenarios;
+}
+
+/**
+ * Describe a simulated scenario as a text row
+ */
+function getSimulatorRow(scenario, result, tokenRatio) {
+    const level = result.fits ? getUsageLevel(result.percent) : 'critical';
+    const trimmed = result.trimmedMessages > 0 ? ` · ${formatNumber(result.trimmedMessages)} trimmed` : '';
+    const tokenizer = scenario.tokenizer
+        ? `, ${getSimulatorTokenizerLabel(scenario.tokenizer)} tokenizer${tokenRatio === null ? ' (could not be measured, counted as current)' : ` (×${tokenRatio.toFixed(2)})`}`
+        : '';
+
+    return {
+        label: scenario.name,
+        value: result.fits ? `${formatPercentage(result.percent)}${trimmed}` : 'Does not fit',
+        className: `cui-simulator__row cui-simulator__row--${level}`,
+        title: [
+            scenario.description,
+            `${formatNumber(result.contextSize)} context, ${formatNumber(result.responseLength)} response${tokenizer}`,
+            result.fits
+                ? `About ${formatNumber(result.totalTokens)} of ${formatNumber(result.budget)} prompt tokens`
+                : 'The prompt is larger than the budget even without chat history',
+        ].filter(Boolean).join('\n'),
+    };
+}
+
+/**
+ * Recalculate the scenarios and list them in the simulator
+ */
+async function renderSimulatorResults(results, usage) {
+    const renderId = ++simulatorRenderId;
+    const { percentBasis } = getSettings();
+    const rows = [];
+    let heading = null;
+
+    for (const scenario of getSimulatorScenarios(usage)) {
+        const tokenRatio = scenario.tokenizer ? await getTokenizerRatio(scenario.tokenizer, usage.mainApi) : 1;
+        // A newer render has started with other inputs
+        if (renderId !== simulatorRenderId) return;
+
+        const result = simulateUsage(usage, { ...scenario, tokenRatio: tokenRatio ?? 1, percentBasis });
+        if (!result) continue;
+
+        if (scenario.kind && scenario.kind !== heading) {
+            heading = scenario.kind;
+            const title = document.createElement('div');
+            title.className = 'cui-simulator__heading';
+            title.textContent = heading === 'profile' ? 'Connection Profiles' : 'Presets';
+            rows.push(title);
+        }
+        rows.push(createTextRow(getSimulatorRow(scenario, result, tokenRatio)));
+    }
+
+    results.replaceChildren(...rows);
+    results.removeAttribute('aria-busy');
+}
+
+/**
+ * Create a labelled input of the simulator form
+ */
+function createSimulatorField(labelText, control) {
+    const label = document.createElement('label');
+    label.className = 'cui-simulator__field';
+
+    const text = document.createElement('span');
+    text.textContent = labelText;
+
+    label.append(text, control);
+    return label;
+}
+
+/**
+ * Create the what-if simulator: usage under another context size, response length or tokenizer,
+ * and under each saved connection profile and preset
+ */
+function createSimulatorSection(usage) {
+    const section = document.createElement('div');
+    section.className = 'cui-simulator';
+
+    const toggle = createTextRow({
+        label: 'What If',
+        value: '',
+        className: 'cui-text-row--group',
+        title: 'Recalculate this prompt for another context size, response length, tokenizer, connection profile or preset',
+    });
+    const panel = document.createElement('div');
+    panel.className = 'cui-simulator__panel';
+
+    const results = document.createElement('div');
+    results.className = 'cui-text-grid--primary cui-simulator__results';
+    results.setAttribute('aria-live', 'polite');
+    const refreshResults = () => {
+        clearTimeout(simulatorInputTimer);
+        results.setAttribute('aria-busy', 'true');
+        renderSimulatorResults(results, usage).catch(error => {
+            console.warn('[ContextUsageIndicator] Error running the what-if simulator:', error);
+        });
+    };
+
+    const createNumberInput = (field, value, label) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'text_pole cui-simulator__input';
+        input.min = '0';
+        input.step = '256';
+        input.value = String(simulatorInputs[field] ?? value ?? 0);
+        input.setAttribute('aria-label', label);
+        input.addEventListener('input', () => {
+            const number = Number(input.value);
+            simulatorInputs[field] = input.value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+            clearTimeout(simulatorInputTimer);
+            simulatorInputTimer = setTimeout(refreshResults, SIMULATOR_INPUT_DEBOUNCE);
+        });
+        return input;
+    };
+
+    const tokenizerSelect = document.createElement('select');
+    tokenizerSelect.className = 'text_pole cui-simulator__input';
+    const currentKey = getSimulatorTokenizerKey(usage.mainApi);
+    [
+        { key: '', label: `Current (${usage.tokenizerName ?? 'active tokenizer'})` },
+        ...SIMULATOR_TOKENIZERS.filter(tokenizer => tokenizer.key !== currentKey),
+    ].forEach(({ key, label }) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        option.selected = key === simulatorInputs.tokenizer;
+        tokenizerSelect.appendChild(option);
+    });
+    tokenizerSelect.addEventListener('change', () => {
+        simulatorInputs.tokenizer = tokenizerSelect.value;
+        refreshResults();
+    });
+
+    const form = document.createElement('div');
+    form.className = 'cui-simulator__form';
+    form.append(
+        createSimulatorField('Context', createNumberInput('contextSize', usage.contextSize, 'Simulated context size')),
+        createSimulatorField('Response', createNumberInput('responseLength', usage.responseLength, 'Simulated response length')),
+        createSimulatorField('Tokenizer', tokenizerSelect),
+    );
+
+    panel.append(form, results);
+    makeRowExpandable(toggle, panel, simulatorExpanded, (expanded) => {
+        simulatorExpanded = expanded;
+        if (expanded) {
+            refreshResults();
+        }
+    });
+    if (simulatorExpanded) {
+        refreshResults();
+    }
+
+    section.append(toggle, panel);
+    return section;
+}
+
+/**
+ * Create the segmented ring legend and its toggle
+ */
+function createRingLegend(usage) {
+    const legend = document.createElement('div');
+    legend.className = 'cui-legend';
+
+    const settings = getSettings();
+    const segments = settings.segmentedRing ? getRingSegments(usage) : [];
+    segments.forEach(segment => {
+        const item = document.createElement('div');
+        item.className = 'cui-legend__item';
+        item.title = `${segment.label}: ${formatNumber(segment.tokens)} tokens`;
+
+        const swatch = document.createElement('span');
+        swatch.className = `cui-legend__swatch cui-segment--${segment.id}`;
+        swatch.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('span');
+        label.className = 'cui-legend__label';
+        label.textContent = segment.label;
+
+        const value = document.createElement('span');
+        value.className = 'cui-legend__value';
+        value.textContent = formatPercentage(segment.percent);
+
+        item.appendChild(swatch);
+        item.appendChild(label);
+        item.appendChild(value);
+        legend.appendChild(item);
+    });
+
+    const toggle = document.createElement('label');
+    toggle.className = 'cui-legend__toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(settings.segmentedRing);
+    checkbox.addEventListener('change', () => {
+        settings.segmentedRing = checkbox.checked;
+        saveSettingsDebounced();
+        syncSettingsPanel();
+        updateUI(latestSnapshot);
+    });
+
+    const toggleText = document.createElement('span');
+    toggleText.textContent = 'Segmented ring';
+
+    toggle.appendChild(checkbox);
+    toggle.appendChild(toggleText);
+    legend.appendChild(toggle);
+
+    return legend;
+}
+
+/**
+ * Create popover content
+ */
+function createPopoverContent(usage) {
+    const hasUsage = Boolean(usage?.tokensReady) && Boolean(usage?.showPromptSection);
+    const percent = hasUsage ? clampPercent(usage?.percent ?? 0) : 0;
+    const usageDisplay = hasUsage ? formatPercentage(percent) : '—';
+    const isContextBasis = getSettings().percentBasis === 'context' && usage?.contextSize > 0;
+    const budgetDisplay = formatNumber(isContextBasis ? usage.contextSize : usage?.budget);
+    const totalTokensDisplay = hasUsage ? formatNumber(usage?.totalTokens) : '—';
+
+    const hasProjection = hasUsage && typeof usage?.projectedTokens === 'number';
+    const forecast = hasUsage ? usage?.forecast : null;
+    const forecastRows = [];
+    if (forecast && forecast.turnsRemaining !== null) {
+        forecastRows.push({
+            label: 'Turns Left',
+            value: `~${formatNumber(forecast.turnsRemaining)}`,
+            title: `Average ${formatNumber(forecast.averageTokensPerTurn)} tokens per user+assistant turn`,
+        });
+        forecastRows.push({
+            label: 'Oldest Dropped',
+            value: forecast.trimming ? 'Now' : `~msg #${formatNumber(forecast.dropStartsAtMessage)}`,
+            title: forecast.trimming
+                ? `${formatNumber(forecast.messagesInPrompt)} of ${formatNumber(forecast.totalMessages)} messages fit in the prompt`
+                : 'Estimated message number at which the oldest messages start being dropped from the prompt',
+        });
+    }
+
+    const container = document.createElement('div');
+    container.className = 'cui-popover__body';
+
+    // Secondary stats: per-block breakdown, or placeholders until tokens are known
+    const secondaryGrid = document.createElement('div');
+    secondaryGrid.className = 'cui-text-grid';
+    const breakdownRows = hasUsage
+        ? getBreakdownRows(usage)
+        : ['Chat History', 'World Info', 'Character', 'Persona'].map(label => ({ label, value: '—' }));
+    const worldInfoEntries = hasUsage && Array.isArray(usage?.worldInfoEntries) ? usage.worldInfoEntries : [];
+    breakdownRows.forEach(stat => {
+        const row = createTextRow(stat);
+        secondaryGrid.appendChild(row);
+        if (stat.groupId === 'worldInfo' && worldInfoEntries.length > 0) {
+            const list = createWorldInfoEntryList(worldInfoEntries);
+            makeRowExpandable(row, list, worldInfoExpanded, (expanded) => {
+                worldInfoExpanded = expanded;
+            });
+            secondaryGrid.appendChild(list);
+        }
+    });
+
+    // Divider
+    const divider = document.createElement('div');
+    divider.className = 'cui-divider';
+    divider.setAttribute('aria-hidden', 'true');
+
+    // Data pill, exposed as a meter for assistive technology
+    const dataPill = document.createElement('div');
+    dataPill.className = 'cui-data-pill';
+    dataPill.setAttribute('role', 'meter');
+    dataPill.setAttribute('aria-label', 'Context usage');
+    dataPill.setAttribute('aria-valuemin', '0');
+    dataPill.setAttribute('aria-valuemax', '100');
+    dataPill.setAttribute('aria-valuenow', String(Math.round(percent * 10) / 10));
+    dataPill.setAttribute('aria-valuetext', hasUsage
+        ? `${usageDisplay}, ${totalTokensDisplay} of ${budgetDisplay} tokens`
+        : 'No usage data yet');
+
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'cui-data-pill__icon';
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.appendChild(createDatabaseIcon());
+
+    const tokensSpan = document.createElement('span');
+    tokensSpan.className = 'cui-data-pill__tokens';
+    tokensSpan.textContent = totalTokensDisplay;
+
+    const maxSpan = document.createElement('span');
+    maxSpan.className = 'cui-data-pill__max';
+    maxSpan.innerHTML = `
+        <span class="cui-data-pill__separator">/</span>
+        <span class="cui-data-pill__max-value">${budgetDisplay}</span>
+    `;
+
+    dataPill.appendChild(iconSpan);
+    dataPill.appendChild(tokensSpan);
+    dataPill.appendChild(maxSpan);
+
+    // Primary stats
+    const primaryGrid = document.createElement('div');
+    primaryGrid.className = 'cui-text-grid--primary';
+    [
+        { label: 'Usage', value: usageDisplay },
+        ...(hasUsage && usage?.capViolations?.length > 0 ? [{
+            label: 'Over Cap',
+            value: usage.capViolations.map(violation => `${violation.label} +${formatNumber(violation.overBy)}`).join(', '),
+            className: 'cui-text-row--over-cap',
+            title: usage.capViolations.map(getCapViolationText).join('\n'),
+        }] : []),
+        ...forecastRows,
+        { label: 'Total Tokens', value: totalTokensDisplay },
+        { label: isContextBasis ? 'Context Size' : 'Max Context', value: budgetDisplay },
+        ...(hasUsage && usage?.tokenizerName ? [{
+            label: 'Tokenizer',
+            value: `${usage.tokenizerName} · ${usage.countIsExact ? 'exact' : 'estimate'}`,
+            className: usage.countIsExact ? 'cui-text-row--exact' : 'cui-text-row--estimate',
+            title: getTokenizerRowTitle(usage),
+        }] : []),
+        ...(hasProjection ? [{
+            label: `Next Send (+${formatNumber(usage.draftTokens)})`,
+            value: formatPercentage(usage.projectedPercent),
+            className: 'cui-text-row--projected',
+        }] : []),
+    ].forEach(stat => {
+        primaryGrid.appendChild(createTextRow(stat));
+    });
+
+    container.appendChild(secondaryGrid);
+    container.appendChild(divider);
+    container.appendChild(dataPill);
+    container.appendChild(primaryGrid);
+
+    if (hasUsage && usage?.contextMessages) {
+        container.appendChild(createContextMessagesLine(usage.contextMessages));
+    }
+
+    if (hasUsage && usage?.group) {
+        container.appendChild(createGroupSection(usage.group));
+    }
+
+    if (hasUsage && getSettings().showCost && usage?.cost) {
+        container.appendChild(createCostSection(usage.cost, usage.responseLength));
+    }
+
+    if (hasUsage) {
+        container.appendChild(createSimulatorSection(usage));
+    }
+
+    const { showHistory, historyLength } = getSettings();
+    if (showHistory) {
+        const sparkline = createHistorySparkline(getUsageHistory().slice(-Math.max(1, Number(historyLength) || 1)));
+        if (sparkline) {
+            container.appendChild(sparkline);
+        }
+    }
+
+    if (hasUsage && getLatestItemizedPrompt(usage.mainApi)?.rawPrompt) {
+        container.appendChild(createInspectButton());
+    }
+
+    if (getCurrentChatId()) {
+        container.appendChild(createExportLine());
+    }
+
+    if (hasUsage) {
+        container.appendChild(createRingLegend(usage));
+    }
 
-    paths.forEach(d => {
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', d);
-        svg.appendChild(path);
+    if (!hasUsage) {
+        const emptyMessage = document.createElement('p');
+        emptyMessage.className = 'cui-popover__empty';
+        emptyMessage.textContent = 'Context usage data becomes available after the next prompt is generated.';
+        container.appendChild(emptyMessage);
+    }
+
+    return container;
+}
+
+/**
+ * Update UI with new snapshot
+ */
+function updateUI(snapshot) {
+    if (!hostElement) return;
+
+    const hasUsage = Boolean(snapshot?.tokensReady) && Boolean(snapshot?.showPromptSection);
+    const percent = hasUsage ? clampPercent(snapshot?.percent ?? 0) : 0;
+    const percentDisplay = hasUsage ? formatPercentage(percent) : '—';
+    const projectedPercent = hasUsage && typeof snapshot?.projectedPercent === 'number' ? snapshot.projectedPercent : null;
+
+    // Update threshold state classes
+    const usageLevel = hasUsage ? snapshot?.usageLevel || 'normal' : 'normal';
+    USAGE_LEVELS.forEach(level => {
+        hostElement.classList.toggle(`cui-trigger--${level}`, level === usageLevel);
     });
 
-    return svg;
+    // Update tooltip and accessible name
+    hostElement.title = projectedPercent !== null
+        ? `Context Usage: ${percentDisplay} (next send: ${formatPercentage(projectedPercent)})`
+        : `Context Usage: ${percentDisplay}`;
+    const capViolations = hasUsage && Array.isArray(snapshot?.capViolations) ? snapshot.capViolations : [];
+    if (capViolations.length > 0) {
+        hostElement.title += ` · over cap: ${capViolations.map(violation => violation.label).join(', ')}`;
+    }
+    hostElement.setAttribute('aria-label', usageLevel === 'normal'
+        ? hostElement.title
+        : `${hostElement.title}, ${usageLevel}`);
+    hostElement.classList.toggle('cui-trigger--over-cap', capViolations.length > 0);
+
+    // Update ring, badge or bar
+    hostElement.replaceChildren(...createIndicator(snapshot));
+    if (getSettings().displayMode === 'floating') {
+        applyFloatingPosition();
+    }
+
+    // Update popover content if visible
+    if (isPopoverVisible && popoverElement) {
+        renderPopoverBody(snapshot);
+    }
 }
 
 /**
- * Create popover content
+ * Get the keyboard-focusable elements inside a container, skipping collapsed sections
  */
-function createPopoverContent(usage) {
-    const hasUsage = Boolean(usage?.tokensReady) && Boolean(usage?.showPromptSection);
-    const percent = hasUsage ? clampPercent(usage?.percent ?? 0) : 0;
-    const usageDisplay = hasUsage ? formatPercentage(percent) : '—';
-    const budgetDisplay = formatNumber(usage?.budget);
-    const totalTokensDisplay = hasUsage ? formatNumber(usage?.totalTokens) : '—';
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden]'));
+}
+
+/**
+ * Replace the popover body, keeping keyboard focus on the same control
+ */
+function renderPopoverBody(snapshot) {
+    const body = popoverElement.querySelector('.cui-popover__body');
+    if (!body) return;
 
-    const chatHistoryDisplay = hasUsage ? formatNumber(usage?.chatHistoryTokens) : '—';
-    const worldInfoDisplay = hasUsage ? formatNumber(usage?.worldInfoTokens) : '—';
-    const characterDisplay = hasUsage ? formatNumber(usage?.characterTokens) : '—';
-    const personaDisplay = hasUsage ? formatNumber(usage?.personaTokens) : '—';
+    const focusIndex = getFocusableElements(body).indexOf(document.activeElement);
+    const newContent = createPopoverContent(snapshot);
+    body.replaceWith(newContent);
 
-    const container = document.createElement('div');
-    container.className = 'cui-popover__body';
+    if (focusIndex >= 0) {
+        const target = getFocusableElements(newContent)[focusIndex] ?? popoverElement;
+        target.focus({ preventScroll: true });
+    }
+}
 
-    // Secondary stats
-    const secondaryGrid = document.createElement('div');
-    secondaryGrid.className = 'cui-text-grid';
-    [
-        { label: 'Chat History', value: chatHistoryDisplay },
-        { label: 'World Info', value: worldInfoDisplay },
-        { label: 'Character Description', value: characterDisplay },
-        { label: 'Persona Description', value: personaDisplay },
-    ].forEach(stat => {
-        const row = document.createElement('div');
-        row.className = 'cui-text-row';
-        row.innerHTML = `
-            <span class="cui-text-row__label">${stat.label}</span>
-            <span class="cui-text-row__value">${stat.value}</span>
-        `;
-        secondaryGrid.appendChild(row);
+/**
+ * Keep Tab and Shift+Tab cycling within the popover
+ */
+function trapPopoverFocus(e) {
+    const focusables = getFocusableElements(popoverElement);
+    if (focusables.length === 0) {
+        e.preventDefault();
+        popoverElement.focus({ preventScroll: true });
+        return;
+    }
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === popoverElement)) {
+        e.preventDefault();
+        last.focus({ preventScroll: true });
+    } else if (!e.shiftKey && (active === last || !popoverElement.contains(active))) {
+        e.preventDefault();
+        first.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Toggle popover visibility; pass returnFocus to move focus back to the trigger on close
+ */
+function togglePopover(returnFocus = false) {
+    if (!popoverElement) return;
+
+    isPopoverVisible = !isPopoverVisible;
+    hostElement?.setAttribute('aria-expanded', String(isPopoverVisible));
+
+    if (isPopoverVisible) {
+        // Trigger a synthetic document click to let other popups close naturally
+        // This respects all existing popup close handlers without explicit coupling
+        const syntheticClick = new MouseEvent('click', {
+            bubbles: true,
+            cancelable: true,
+            view: window
+        });
+        document.body.dispatchEvent(syntheticClick);
+
+        // Update content before showing
+        if (latestSnapshot) {
+            renderPopoverBody(latestSnapshot);
+        }
+
+        popoverElement.classList.add('cui-popover--active');
+        // Position popover
+        positionPopover();
+
+        // Move focus into the dialog so keyboard users land on its controls
+        const [firstFocusable] = getFocusableElements(popoverElement);
+        (firstFocusable ?? popoverElement).focus({ preventScroll: true });
+
+        // Manual refresh mode updates on demand
+        if (!getSettings().autoRefresh) {
+            updateContextUsage();
+        }
+    } else {
+        popoverElement.classList.remove('cui-popover--active');
+        if (returnFocus) {
+            hostElement?.focus();
+        }
+    }
+}
+
+/**
+ * Get the visible part of the page, excluding the on-screen keyboard where the browser reports it
+ */
+function getVisibleViewport() {
+    const viewport = window.visualViewport;
+    const top = viewport?.offsetTop ?? 0;
+    const left = viewport?.offsetLeft ?? 0;
+    const width = viewport?.width ?? window.innerWidth;
+    const height = viewport?.height ?? window.innerHeight;
+    return { top, left, width, height, right: left + width, bottom: top + height };
+}
+
+/**
+ * Position popover relative to trigger, or as a bottom sheet on small screens
+ */
+function positionPopover() {
+    if (!hostElement || !popoverElement) return;
+
+    const viewport = getVisibleViewport();
+    const isSheet = window.matchMedia?.(BOTTOM_SHEET_MEDIA_QUERY).matches ?? false;
+    popoverElement.classList.toggle('cui-popover--sheet', isSheet);
+
+    if (isSheet) {
+        // Span the visible width and rest on top of the on-screen keyboard
+        popoverElement.style.left = `${viewport.left}px`;
+        popoverElement.style.width = `${viewport.width}px`;
+        popoverElement.style.maxHeight = `${Math.floor(viewport.height * BOTTOM_SHEET_MAX_HEIGHT_RATIO)}px`;
+        const sheetRect = popoverElement.getBoundingClientRect();
+        popoverElement.style.top = `${viewport.bottom - sheetRect.height}px`;
+        delete popoverElement.dataset.placement;
+        return;
+    }
+
+    popoverElement.style.width = '';
+    popoverElement.style.maxHeight = `${Math.max(0, viewport.height - VIEWPORT_MARGIN * 2)}px`;
+
+    const triggerRect = hostElement.getBoundingClientRect();
+    const popoverRect = popoverElement.getBoundingClientRect();
+
+    // Prefer above the trigger; flip below when it doesn't fit and there is more room there
+    const spaceAbove = triggerRect.top - viewport.top - VIEWPORT_MARGIN - POPOVER_OFFSET;
+    const spaceBelow = viewport.bottom - triggerRect.bottom - VIEWPORT_MARGIN - POPOVER_OFFSET;
+    const placement = popoverRect.height > spaceAbove && spaceBelow > spaceAbove ? 'bottom' : 'top';
+    const preferredTop = placement === 'top'
+        ? triggerRect.top - popoverRect.height - POPOVER_OFFSET
+        : triggerRect.bottom + POPOVER_OFFSET;
+
+    // Shift back inside the viewport when the preferred spot overflows an edge
+    const top = clampToRange(preferredTop, popoverRect.height, viewport.top + VIEWPORT_MARGIN, viewport.bottom - VIEWPORT_MARGIN);
+    const left = clampToRange(triggerRect.left + POPOVER_OFFSET, popoverRect.width, viewport.left + VIEWPORT_MARGIN, viewport.right - VIEWPORT_MARGIN);
+
+    popoverElement.dataset.placement = placement;
+    popoverElement.style.top = `${top}px`;
+    popoverElement.style.left = `${left}px`;
+}
+
+/**
+ * Let the bottom sheet be dragged down and dismissed with a swipe
+ */
+function setupSwipeToDismiss() {
+    let startY = null;
+    let offset = 0;
+
+    const reset = () => {
+        startY = null;
+        offset = 0;
+        popoverElement.classList.remove('cui-popover--dragging');
+        popoverElement.style.transform = '';
+    };
+
+    popoverElement.addEventListener('touchstart', (e) => {
+        // Only drag from the top, so scrolling the sheet's content still works
+        if (!popoverElement.classList.contains('cui-popover--sheet') || popoverElement.scrollTop > 0 || e.touches.length !== 1) return;
+        startY = e.touches[0].clientY;
+    }, { passive: true });
+
+    popoverElement.addEventListener('touchmove', (e) => {
+        if (startY === null) return;
+        offset = Math.max(0, e.touches[0].clientY - startY);
+        popoverElement.classList.add('cui-popover--dragging');
+        popoverElement.style.transform = `translateY(${offset}px)`;
+    }, { passive: true });
+
+    popoverElement.addEventListener('touchend', () => {
+        if (startY === null) return;
+        const dismiss = offset > SWIPE_DISMISS_DISTANCE;
+        reset();
+        if (dismiss && isPopoverVisible) {
+            togglePopover();
+        }
     });
+    popoverElement.addEventListener('touchcancel', reset);
+}
 
-    // Divider
-    const divider = document.createElement('div');
-    divider.className = 'cui-divider';
-    divider.setAttribute('aria-hidden', 'true');
+/**
+ * Move the floating widget, keeping it inside the visible viewport
+ */
+function moveFloatingWidget(left, top) {
+    const viewport = getVisibleViewport();
+    const rect = hostElement.getBoundingClientRect();
+    hostElement.style.left = `${clampToRange(left, rect.width, viewport.left + VIEWPORT_MARGIN, viewport.right - VIEWPORT_MARGIN)}px`;
+    hostElement.style.top = `${clampToRange(top, rect.height, viewport.top + VIEWPORT_MARGIN, viewport.bottom - VIEWPORT_MARGIN)}px`;
+
+    if (isPopoverVisible) {
+        positionPopover();
+    }
+}
+
+/**
+ * Place the floating widget at its remembered position, or the default corner
+ */
+function applyFloatingPosition() {
+    if (!hostElement?.isConnected || getSettings().displayMode !== 'floating') return;
+
+    const saved = getSettings().floatingPosition;
+    if (saved && Number.isFinite(saved.left) && Number.isFinite(saved.top)) {
+        moveFloatingWidget(saved.left, saved.top);
+        return;
+    }
+
+    const viewport = getVisibleViewport();
+    const rect = hostElement.getBoundingClientRect();
+    moveFloatingWidget(viewport.right - rect.width - FLOATING_DEFAULT_OFFSET.right, viewport.bottom - rect.height - FLOATING_DEFAULT_OFFSET.bottom);
+}
+
+/**
+ * Remember where the floating widget was left
+ */
+function saveFloatingPosition() {
+    getSettings().floatingPosition = {
+        left: Math.round(parseFloat(hostElement.style.left) || 0),
+        top: Math.round(parseFloat(hostElement.style.top) || 0),
+    };
+    saveSettingsDebounced();
+}
+
+/**
+ * Let the floating widget be dragged with a pointer or nudged with Shift+Arrow keys
+ */
+function setupFloatingDrag() {
+    let drag = null;
+
+    hostElement.addEventListener('pointerdown', (e) => {
+        if (getSettings().displayMode !== 'floating' || e.button !== 0) return;
+        const rect = hostElement.getBoundingClientRect();
+        drag = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.top, moved: false };
+        suppressNextActivation = false;
+        hostElement.setPointerCapture?.(e.pointerId);
+    });
+
+    hostElement.addEventListener('pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        // Small jitter during a tap is still a click
+        if (!drag.moved && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < FLOATING_DRAG_THRESHOLD) return;
+        drag.moved = true;
+        hostElement.classList.add('cui-trigger--dragging');
+        moveFloatingWidget(e.clientX - drag.offsetX, e.clientY - drag.offsetY);
+    });
+
+    hostElement.addEventListener('pointerup', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        if (drag.moved) {
+            suppressNextActivation = true;
+            hostElement.classList.remove('cui-trigger--dragging');
+            saveFloatingPosition();
+        }
+        drag = null;
+    });
+
+    // No click follows a cancelled pointer, so keep the position without suppressing anything
+    hostElement.addEventListener('pointercancel', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        if (drag.moved) {
+            hostElement.classList.remove('cui-trigger--dragging');
+            saveFloatingPosition();
+        }
+        drag = null;
+    });
+
+    hostElement.addEventListener('keydown', (e) => {
+        const direction = FLOATING_NUDGE_KEYS[e.key];
+        if (!direction || !e.shiftKey || getSettings().displayMode !== 'floating') return;
+        e.preventDefault();
+        const rect = hostElement.getBoundingClientRect();
+        moveFloatingWidget(rect.left + direction[0] * FLOATING_NUDGE_STEP, rect.top + direction[1] * FLOATING_NUDGE_STEP);
+        saveFloatingPosition();
+    });
+
+    window.addEventListener('resize', applyFloatingPosition);
+    window.visualViewport?.addEventListener('resize', applyFloatingPosition);
+}
+
+/**
+ * Insert the trigger where the configured display mode puts it
+ */
+function mountHostElement() {
+    const { displayMode, placement } = getSettings();
+    DISPLAY_MODES.forEach(mode => {
+        hostElement.classList.toggle(`cui-trigger--${mode}`, mode === displayMode);
+    });
+    hostElement.style.left = '';
+    hostElement.style.top = '';
+
+    if (displayMode === 'floating') {
+        document.body.appendChild(hostElement);
+        return true;
+    }
+
+    if (displayMode === 'bar') {
+        const sendForm = document.getElementById('send_form');
+        if (!sendForm) {
+            console.warn(`[${MODULE_NAME}] #send_form not found`);
+            return false;
+        }
+        sendForm.prepend(hostElement);
+        return true;
+    }
+
+    const leftSendForm = document.getElementById('leftSendForm');
+    const rightSendForm = document.getElementById('rightSendForm');
+    const extensionsMenuButton = document.getElementById('extensionsMenuButton');
+
+    if (placement === 'right' && rightSendForm) {
+        rightSendForm.insertAdjacentElement('afterbegin', hostElement);
+        return true;
+    }
+
+    if (!leftSendForm) {
+        console.warn(`[${MODULE_NAME}] #leftSendForm not found`);
+        return false;
+    }
+
+    // Insert after extensionsMenuButton if it exists, otherwise append
+    if (extensionsMenuButton && extensionsMenuButton.parentElement === leftSendForm) {
+        extensionsMenuButton.insertAdjacentElement('afterend', hostElement);
+    } else {
+        leftSendForm.appendChild(hostElement);
+    }
+    return true;
+}
+
+/**
+ * Create and mount the UI
+ */
+function createUI() {
+    if (!getSettings().enabled) return;
+
+    // Create host container
+    if (!hostElement) {
+        hostElement = document.createElement('div');
+        hostElement.id = 'cui_button';
+        hostElement.className = 'fa-solid interactable cui-trigger';
+        hostElement.tabIndex = 0;
+        hostElement.setAttribute('role', 'button');
+        hostElement.setAttribute('aria-haspopup', 'dialog');
+        hostElement.setAttribute('aria-controls', POPOVER_ID);
+        hostElement.setAttribute('aria-expanded', 'false');
+
+        // Toggle on click, Enter or Space
+        onActivate(hostElement, (e) => {
+            e.stopPropagation();
+            if (suppressNextActivation) {
+                suppressNextActivation = false;
+                return;
+            }
+            togglePopover();
+        });
+        hostElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && isPopoverVisible) {
+                e.preventDefault();
+                togglePopover(true);
+            }
+        });
+        setupFloatingDrag();
+    }
+
+    if (!hostElement.isConnected) {
+        if (!mountHostElement()) return;
+        updateUI(latestSnapshot);
+    }
+
+    // Create popover
+    if (!popoverElement) {
+        popoverElement = document.createElement('div');
+        popoverElement.id = POPOVER_ID;
+        popoverElement.className = 'cui-popover';
+        popoverElement.setAttribute('role', 'dialog');
+        popoverElement.setAttribute('aria-label', 'Context usage details');
+        popoverElement.tabIndex = -1;
+
+        // Grab handle, only shown in bottom-sheet mode
+        const handle = document.createElement('div');
+        handle.className = 'cui-popover__handle';
+        handle.setAttribute('aria-hidden', 'true');
+        popoverElement.appendChild(handle);
+
+        const content = createPopoverContent(latestSnapshot || {});
+        popoverElement.appendChild(content);
+
+        document.body.appendChild(popoverElement);
+
+        // Escape closes and returns focus to the trigger; Tab stays inside the dialog
+        popoverElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                togglePopover(true);
+            } else if (e.key === 'Tab') {
+                trapPopoverFocus(e);
+            }
+        });
+
+        // Close on outside click
+        document.addEventListener('click', (e) => {
+            if (popoverElement.classList.contains('cui-popover--active') && !popoverElement.contains(e.target) && e.target !== hostElement) {
+                togglePopover();
+            }
+        });
+
+        // Reposition on scroll/resize, when the on-screen keyboard moves the visual viewport,
+        // and when the content changes size
+        const reposition = () => {
+            if (isPopoverVisible) positionPopover();
+        };
+        window.addEventListener('scroll', reposition, true);
+        window.addEventListener('resize', reposition);
+        window.visualViewport?.addEventListener('resize', reposition);
+        window.visualViewport?.addEventListener('scroll', reposition);
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(reposition).observe(popoverElement);
+        }
+
+        setupSwipeToDismiss();
+    }
+}
+
+/**
+ * Remove the trigger and hide the popover (extension disabled)
+ */
+function removeUI() {
+    if (isPopoverVisible) {
+        togglePopover();
+    }
+    hostElement?.remove();
+    updateContextMarker(null);
+}
+
+/**
+ * Apply changed settings without a page reload
+ */
+function applySettings() {
+    if (!getSettings().enabled) {
+        removeUI();
+        return;
+    }
 
-    // Data pill
-    const dataPill = document.createElement('div');
-    dataPill.className = 'cui-data-pill';
-    dataPill.setAttribute('aria-live', 'polite');
+    // Re-mount in case the display mode or placement changed
+    hostElement?.remove();
+    createUI();
+    scheduleContextUsageUpdate();
+}
 
-    const iconSpan = document.createElement('span');
-    iconSpan.className = 'cui-data-pill__icon';
-    iconSpan.setAttribute('aria-hidden', 'true');
-    iconSpan.appendChild(createDatabaseIcon());
+/**
+ * Reflect the current settings in the settings panel inputs
+ */
+function syncSettingsPanel() {
+    const panel = document.getElementById('cui_settings');
+    if (!panel) return;
 
-    const tokensSpan = document.createElement('span');
-    tokensSpan.className = 'cui-data-pill__tokens';
-    tokensSpan.textContent = totalTokensDisplay;
+    const settings = getSettings();
+    panel.querySelectorAll('[data-cui-setting]').forEach(input => {
+        const value = settings[input.dataset.cuiSetting];
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(value);
+        } else if (Array.isArray(value)) {
+            input.value = value.join(', ');
+        } else {
+            input.value = value;
+        }
+    });
+    panel.querySelectorAll('[data-cui-row]').forEach(input => {
+        input.checked = !settings.hiddenBreakdownRows.includes(input.dataset.cuiRow);
+    });
+}
 
-    const maxSpan = document.createElement('span');
-    maxSpan.className = 'cui-data-pill__max';
-    maxSpan.innerHTML = `
-        <span class="cui-data-pill__separator">/</span>
-        <span class="cui-data-pill__max-value">${budgetDisplay}</span>
-    `;
+/**
+ * Create an editable row of the price table
+ */
+function createPriceRow(model = '', price = { input: 0, output: 0 }) {
+    const row = document.createElement('div');
+    row.className = 'cui-price-row';
 
-    dataPill.appendChild(iconSpan);
-    dataPill.appendChild(tokensSpan);
-    dataPill.appendChild(maxSpan);
+    const fields = [
+        { name: 'model', type: 'text', value: model, placeholder: 'model name prefix', title: 'Model name or prefix, without the provider' },
+        { name: 'input', type: 'number', value: price.input, title: 'Input price per 1M tokens (USD)' },
+        { name: 'output', type: 'number', value: price.output, title: 'Output price per 1M tokens (USD)' },
+    ];
+    fields.forEach(field => {
+        const input = document.createElement('input');
+        input.className = `text_pole cui-price-row__${field.name}`;
+        input.type = field.type;
+        input.value = String(field.value);
+        input.title = field.title;
+        if (field.placeholder) input.placeholder = field.placeholder;
+        if (field.type === 'number') {
+            input.min = '0';
+            input.step = 'any';
+        }
+        input.addEventListener('change', savePriceTableFromEditor);
+        row.appendChild(input);
+    });
 
-    // Primary stats
-    const primaryGrid = document.createElement('div');
-    primaryGrid.className = 'cui-text-grid--primary';
-    [
-        { label: 'Usage', value: usageDisplay },
-        { label: 'Total Tokens', value: totalTokensDisplay },
-        { label: 'Max Context', value: budgetDisplay },
-    ].forEach(stat => {
-        const row = document.createElement('div');
-        row.className = 'cui-text-row';
-        row.innerHTML = `
-            <span class="cui-text-row__label">${stat.label}</span>
-            <span class="cui-text-row__value">${stat.value}</span>
-        `;
-        primaryGrid.appendChild(row);
+    const removeButton = document.createElement('div');
+    removeButton.className = 'menu_button fa-solid fa-trash-can cui-price-row__remove';
+    removeButton.title = 'Remove';
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        savePriceTableFromEditor();
     });
+    row.appendChild(removeButton);
 
-    container.appendChild(secondaryGrid);
-    container.appendChild(divider);
-    container.appendChild(dataPill);
-    container.appendChild(primaryGrid);
+    return row;
+}
 
-    if (!hasUsage) {
-        const emptyMessage = document.createElement('p');
-        emptyMessage.className = 'cui-popover__empty';
-        emptyMessage.textContent = 'Context usage data becomes available after OpenAI prompt tokens are calculated.';
-        container.appendChild(emptyMessage);
-    }
+/**
+ * Render the price table editor from the current price table
+ */
+function renderPriceTableEditor() {
+    const container = document.getElementById('cui_price_table');
+    if (!container) return;
 
-    return container;
+    container.replaceChildren(...Object.entries(getPriceTable())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([model, price]) => createPriceRow(model, price)));
 }
 
 /**
- * Update UI with new snapshot
+ * Store the edited price table and re-price the latest snapshot
  */
-function updateUI(snapshot) {
-    if (!hostElement) return;
+function savePriceTableFromEditor() {
+    const container = document.getElementById('cui_price_table');
+    if (!container) return;
 
-    const hasUsage = Boolean(snapshot?.tokensReady) && Boolean(snapshot?.showPromptSection);
-    const percent = hasUsage ? clampPercent(snapshot?.percent ?? 0) : 0;
-    const percentDisplay = hasUsage ? formatPercentage(percent) : '—';
+    const models = {};
+    container.querySelectorAll('.cui-price-row').forEach(row => {
+        const model = row.querySelector('.cui-price-row__model').value;
+        models[model] = {
+            input: row.querySelector('.cui-price-row__input').value,
+            output: row.querySelector('.cui-price-row__output').value,
+        };
+    });
 
-    // Update tooltip
-    hostElement.title = `Context Usage: ${percentDisplay}`;
+    getSettings().priceTable = parsePriceTable(models) ?? {};
+    saveSettingsDebounced();
+    refreshCostEstimate();
+}
 
-    // Update ring
-    const ring = hostElement.querySelector('.cui-ring');
-    if (ring) {
-        const newRing = createRingSVG(percent, !hasUsage);
-        ring.replaceWith(newRing);
+/**
+ * Re-price the latest snapshot after the price table changed
+ */
+function refreshCostEstimate() {
+    if (latestSnapshot) {
+        publishSnapshot(applyCostEstimate(latestSnapshot));
     }
+}
 
-    // Update popover content if visible
-    if (isPopoverVisible && popoverElement) {
-        const body = popoverElement.querySelector('.cui-popover__body');
-        if (body) {
-            const newContent = createPopoverContent(snapshot);
-            body.replaceWith(newContent);
-        }
+/**
+ * Replace the price table with one from a JSON file
+ */
+async function importPriceTable(file) {
+    try {
+        const table = parsePriceTable(JSON.parse(await getFileText(file)));
+        if (!table) throw new Error('No valid model prices found');
+
+        getSettings().priceTable = table;
+        saveSettingsDebounced();
+        renderPriceTableEditor();
+        refreshCostEstimate();
+        toastr.success(`Imported prices for ${Object.keys(table).length} models.`);
+    } catch (error) {
+        console.warn('[ContextUsageIndicator] Could not import the price table:', error);
+        toastr.error(String(error?.message ?? error), 'Could not import the price table');
     }
 }
 
 /**
- * Toggle popover visibility
+ * Download the current price table as JSON
  */
-function togglePopover() {
-    if (!popoverElement) return;
+function exportPriceTable() {
+    const data = { version: 1, unit: 'USD per 1M tokens', models: getPriceTable() };
+    download(JSON.stringify(data, null, 4), 'context-usage-prices.json', 'application/json');
+}
 
-    isPopoverVisible = !isPopoverVisible;
+/**
+ * Store a section cap typed in the settings; pass an avatar to store a character override
+ * @returns {object|false|null} The stored cap, or null when the section is uncapped
+ */
+function saveSectionCap(section, value, avatar = null) {
+    const settings = getSettings();
+    const caps = avatar ? (settings.characterSectionCaps[avatar] ??= {}) : settings.sectionCaps;
+    let cap = parseSectionCap(value);
+    if (cap === null && String(value ?? '').trim()) {
+        toastr.warning('Use a share of the budget such as 25% or a token count such as 2000 or 2k.', 'Invalid section cap');
+    }
+    // "off" only means something as an override of a global cap
+    if (cap === false && !avatar) {
+        cap = null;
+    }
 
-    if (isPopoverVisible) {
-        // Trigger a synthetic document click to let other popups close naturally
-        // This respects all existing popup close handlers without explicit coupling
-        const syntheticClick = new MouseEvent('click', {
-            bubbles: true,
-            cancelable: true,
-            view: window
-        });
-        document.body.dispatchEvent(syntheticClick);
+    if (cap === null) {
+        delete caps[section];
+    } else {
+        caps[section] = cap;
+    }
+    if (avatar && Object.keys(caps).length === 0) {
+        delete settings.characterSectionCaps[avatar];
+    }
 
-        // Update content before showing
-        const body = popoverElement.querySelector('.cui-popover__body');
-        if (body && latestSnapshot) {
-            const newContent = createPopoverContent(latestSnapshot);
-            body.replaceWith(newContent);
-        }
+    saveSettingsDebounced();
+    refreshSectionCaps();
+    return cap;
+}
 
-        popoverElement.classList.add('cui-popover--active');
-        // Position popover
-        positionPopover();
-    } else {
-        popoverElement.classList.remove('cui-popover--active');
+/**
+ * Re-check the latest snapshot after the caps changed
+ */
+function refreshSectionCaps() {
+    if (latestSnapshot) {
+        publishSnapshot(applySectionCaps(latestSnapshot));
     }
 }
 
 /**
- * Position popover relative to trigger
+ * Render the section cap editor: a global cap and an override for the current character per section
  */
-function positionPopover() {
-    if (!hostElement || !popoverElement) return;
+function renderSectionCapEditor() {
+    const container = document.getElementById('cui_section_caps');
+    if (!container) return;
 
-    const triggerRect = hostElement.getBoundingClientRect();
-    const popoverRect = popoverElement.getBoundingClientRect();
+    const { sectionCaps, characterSectionCaps } = getSettings();
+    const character = getCapCharacter();
+    const overrides = character ? characterSectionCaps[character.avatar] ?? {} : {};
 
-    // Position above and slightly to the right of trigger
-    const top = triggerRect.top - popoverRect.height - 8;
-    const left = triggerRect.left + 8;
+    const header = document.createElement('div');
+    header.className = 'cui-section-caps__row cui-section-caps__header';
+    ['Section', 'All chats', character ? character.name : 'Character'].forEach(text => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        cell.title = text;
+        header.appendChild(cell);
+    });
 
-    popoverElement.style.top = `${top}px`;
-    popoverElement.style.left = `${left}px`;
+    const rows = PROMPT_BLOCK_GROUPS.map(group => {
+        const row = document.createElement('div');
+        row.className = 'cui-section-caps__row';
+
+        const label = document.createElement('span');
+        label.textContent = group.label;
+        row.appendChild(label);
+
+        const globalInput = document.createElement('input');
+        globalInput.className = 'text_pole';
+        globalInput.type = 'text';
+        globalInput.value = formatSectionCap(sectionCaps[group.id]);
+        globalInput.placeholder = 'none';
+        globalInput.setAttribute('aria-label', `${group.label} cap for all chats`);
+
+        const characterInput = document.createElement('input');
+        characterInput.className = 'text_pole';
+        characterInput.type = 'text';
+        characterInput.value = formatSectionCap(overrides[group.id]);
+        characterInput.placeholder = globalInput.value || 'none';
+        characterInput.disabled = !character;
+        characterInput.setAttribute('aria-label', character ? `${group.label} cap for ${character.name}` : `${group.label} cap for the current character`);
+
+        // Update the inputs in place so tabbing to the next field keeps focus
+        globalInput.addEventListener('change', () => {
+            globalInput.value = formatSectionCap(saveSectionCap(group.id, globalInput.value));
+            characterInput.placeholder = globalInput.value || 'none';
+        });
+        characterInput.addEventListener('change', () => {
+            if (!character) return;
+            characterInput.value = formatSectionCap(saveSectionCap(group.id, characterInput.value, character.avatar));
+        });
+
+        row.append(globalInput, characterInput);
+        return row;
+    });
+
+    container.replaceChildren(header, ...rows);
 }
 
 /**
- * Create and mount the UI
+ * Create the settings block in the Extensions panel
  */
-function createUI() {
-    const leftSendForm = document.getElementById('leftSendForm');
-    const extensionsMenuButton = document.getElementById('extensionsMenuButton');
-    
-    if (!leftSendForm) {
-        console.warn(`[${MODULE_NAME}] #leftSendForm not found`);
-        return;
-    }
+function createSettingsPanel() {
+    const container = document.getElementById('extensions_settings2');
+    if (!container || document.getElementById('cui_settings')) return;
 
-    // Create host container
-    if (!hostElement) {
-        hostElement = document.createElement('div');
-        hostElement.id = 'cui_button';
-        hostElement.className = 'fa-solid interactable cui-trigger';
-        hostElement.tabIndex = 0;
+    const settings = getSettings();
+    const breakdownRows = [
+        ...PROMPT_BLOCK_GROUPS,
+        { id: 'unaccounted', label: 'Other/Unaccounted' },
+    ];
 
-        const hasUsage = Boolean(latestSnapshot?.tokensReady) && Boolean(latestSnapshot?.showPromptSection);
-        const percent = hasUsage ? clampPercent(latestSnapshot?.percent ?? 0) : 0;
-        const percentDisplay = hasUsage ? formatPercentage(percent) : '—';
-        hostElement.title = `Context Usage: ${percentDisplay}`;
+    const panel = document.createElement('div');
+    panel.id = 'cui_settings';
+    panel.className = 'cui-settings';
+    panel.innerHTML = `
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>Context Usage Indicator</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <label class="checkbox_label" for="cui_enabled">
+                    <input id="cui_enabled" data-cui-setting="enabled" type="checkbox">
+                    <span>Enabled</span>
+                </label>
 
-        // Add ring only (no text)
-        hostElement.appendChild(createRingSVG(percent, !hasUsage));
+                <h4 class="cui-settings__heading">Display</h4>
+                <div class="cui-settings__row">
+                    <label for="cui_display_mode">Show usage as</label>
+                    <select id="cui_display_mode" data-cui-setting="displayMode" class="text_pole">
+                        <option value="ring">Ring</option>
+                        <option value="badge">Text badge (12.4K / 32K)</option>
+                        <option value="bar">Bar above the input</option>
+                        <option value="floating">Floating widget</option>
+                    </select>
+                </div>
+                <small class="cui-settings__hint">Drag the floating widget to move it, or focus it and press Shift+Arrow keys.</small>
+                <div class="cui-settings__buttons">
+                    <div id="cui_floating_reset" class="menu_button menu_button_icon" title="Move the floating widget back to the bottom-right corner"><i class="fa-solid fa-arrows-to-dot"></i><span>Reset widget position</span></div>
+                </div>
+                <div class="cui-settings__row">
+                    <label for="cui_placement" title="Used by the ring and the text badge">Placement</label>
+                    <select id="cui_placement" data-cui-setting="placement" class="text_pole">
+                        <option value="left">Left of the input</option>
+                        <option value="right">Right of the input</option>
+                    </select>
+                </div>
+                <div class="cui-settings__row">
+                    <label for="cui_number_format">Number format</label>
+                    <select id="cui_number_format" data-cui-setting="numberFormat" class="text_pole">
+                        <option value="full">Full (12,345)</option>
+                        <option value="compact">Compact (12.3K)</option>
+                    </select>
+                </div>
+                <div class="cui-settings__row">
+                    <label for="cui_percent_basis">Percentage of</label>
+                    <select id="cui_percent_basis" data-cui-setting="percentBasis" class="text_pole">
+                        <option value="budget">Prompt budget</option>
+                        <option value="context">Full context size</option>
+                    </select>
+                </div>
+                <div class="cui-settings__row">
+                    <label for="cui_counting_mode" title="Exact counting tokenizes each chat-completion message separately, including the per-message overhead SillyTavern's tokenizer adds for OpenAI models; other tokenizers add none, so their counts are estimates">Token counting</label>
+                    <select id="cui_counting_mode" data-cui-setting="countingMode" class="text_pole">
+                        <option value="fast">Fast (joined message text)</option>
+                        <option value="exact">Exact (per message)</option>
+                    </select>
+                </div>
+                <label class="checkbox_label" for="cui_segmented_ring">
+                    <input id="cui_segmented_ring" data-cui-setting="segmentedRing" type="checkbox">
+                    <span>Segmented ring</span>
+                </label>
+                <div class="cui-settings__row">
+                    <label for="cui_ring_markers">Ring markers (%)</label>
+                    <input id="cui_ring_markers" data-cui-setting="ringMarkers" class="text_pole" type="text" placeholder="25, 50, 75, 100">
+                </div>
 
-        // Add click handler
-        hostElement.addEventListener('click', (e) => {
-            e.stopPropagation();
-            togglePopover();
-        });
+                <label class="checkbox_label" for="cui_show_history">
+                    <input id="cui_show_history" data-cui-setting="showHistory" type="checkbox">
+                    <span>Show usage history sparkline</span>
+                </label>
+                <div class="cui-settings__row">
+                    <label for="cui_history_length">Sparkline generations</label>
+                    <input id="cui_history_length" data-cui-setting="historyLength" class="text_pole" type="number" min="2" max="${HISTORY_MAX_ENTRIES}" step="1">
+                </div>
+                <label class="checkbox_label" for="cui_export_prompt_blocks">
+                    <input id="cui_export_prompt_blocks" data-cui-setting="exportPromptBlocks" type="checkbox">
+                    <span>Keep prompt blocks for every generation and include them in exports</span>
+                </label>
 
-        // Insert after extensionsMenuButton if it exists, otherwise append
-        if (extensionsMenuButton && extensionsMenuButton.parentElement === leftSendForm) {
-            extensionsMenuButton.insertAdjacentElement('afterend', hostElement);
-        } else {
-            leftSendForm.appendChild(hostElement);
-        }
-    }
+                <label class="checkbox_label" for="cui_show_context_marker">
+                    <input id="cui_show_context_marker" data-cui-setting="showContextMarker" type="checkbox">
+                    <span>Mark where the context starts in the chat</span>
+                </label>
 
-    // Create popover
-    if (!popoverElement) {
-        popoverElement = document.createElement('div');
-        popoverElement.className = 'cui-popover';
+                <h4 class="cui-settings__heading">Breakdown Rows</h4>
+                ${breakdownRows.map(row => `
+                <label class="checkbox_label" for="cui_row_${row.id}">
+                    <input id="cui_row_${row.id}" data-cui-row="${row.id}" type="checkbox">
+                    <span>${row.label}</span>
+                </label>`).join('')}
+                <label class="checkbox_label" for="cui_show_prompt_blocks">
+                    <input id="cui_show_prompt_blocks" data-cui-setting="showPromptBlocks" type="checkbox">
+                    <span>Show individual prompt blocks</span>
+                </label>
 
-        const content = createPopoverContent(latestSnapshot || {});
-        popoverElement.appendChild(content);
+                <h4 class="cui-settings__heading">Refresh</h4>
+                <label class="checkbox_label" for="cui_auto_refresh" title="When off, usage refreshes only when opening the popover or switching chats">
+                    <input id="cui_auto_refresh" data-cui-setting="autoRefresh" type="checkbox">
+                    <span>Refresh after every generation and settings change</span>
+                </label>
+                <label class="checkbox_label" for="cui_live_draft">
+                    <input id="cui_live_draft" data-cui-setting="liveDraftEstimate" type="checkbox">
+                    <span>Estimate the message being typed</span>
+                </label>
+                <div class="cui-settings__row">
+                    <label for="cui_draft_debounce">Typing debounce (ms)</label>
+                    <input id="cui_draft_debounce" data-cui-setting="draftDebounce" class="text_pole" type="number" min="0" max="5000" step="50">
+                </div>
+                <div class="cui-settings__row">
+                    <label for="cui_prompt_manager_timeout">Prompt manager wait (ms)</label>
+                    <input id="cui_prompt_manager_timeout" data-cui-setting="promptManagerTimeout" class="text_pole" type="number" min="0" max="60000" step="500">
+                </div>
 
-        document.body.appendChild(popoverElement);
+                <h4 class="cui-settings__heading">Thresholds</h4>
+                <div class="cui-settings__row">
+                    <label for="cui_warning_threshold">Warning threshold (%)</label>
+                    <input id="cui_warning_threshold" data-cui-setting="warningThreshold" class="text_pole" type="number" min="1" max="100" step="1">
+                </div>
+                <div class="cui-settings__row">
+                    <label for="cui_critical_threshold">Critical threshold (%)</label>
+                    <input id="cui_critical_threshold" data-cui-setting="criticalThreshold" class="text_pole" type="number" min="1" max="100" step="1">
+                </div>
+                <label class="checkbox_label" for="cui_threshold_toasts">
+                    <input id="cui_threshold_toasts" data-cui-setting="thresholdToasts" type="checkbox">
+                    <span>Notify when a chat crosses a threshold</span>
+                </label>
 
-        // Close on outside click
-        document.addEventListener('click', (e) => {
-            if (popoverElement.classList.contains('cui-popover--active') && !popoverElement.contains(e.target) && e.target !== hostElement) {
-                togglePopover();
+                <h4 class="cui-settings__heading">Section Caps</h4>
+                <small class="cui-settings__hint">Flag breakdown sections that grow past a cap: a share of the prompt budget (25%) or a token count (2000, 2k). A character's cap replaces the one for all chats; "off" lifts it.</small>
+                <div id="cui_section_caps" class="cui-section-caps"></div>
+
+                <h4 class="cui-settings__heading">Cost</h4>
+                <label class="checkbox_label" for="cui_show_cost">
+                    <input id="cui_show_cost" data-cui-setting="showCost" type="checkbox">
+                    <span>Show cost estimate in the popover</span>
+                </label>
+                <small class="cui-settings__hint">Prices in USD per 1M input / output tokens. The longest model name prefix wins.</small>
+                <div id="cui_price_table" class="cui-price-table"></div>
+                <div class="cui-settings__buttons">
+                    <div id="cui_price_add" class="menu_button menu_button_icon" title="Add a model"><i class="fa-solid fa-plus"></i><span>Add</span></div>
+                    <div id="cui_price_import" class="menu_button menu_button_icon" title="Import prices from JSON"><i class="fa-solid fa-file-import"></i><span>Import</span></div>
+                    <div id="cui_price_export" class="menu_button menu_button_icon" title="Export prices as JSON"><i class="fa-solid fa-file-export"></i><span>Export</span></div>
+                    <div id="cui_price_reset" class="menu_button menu_button_icon" title="Restore the bundled prices"><i class="fa-solid fa-rotate-left"></i><span>Defaults</span></div>
+                    <input id="cui_price_file" type="file" accept=".json,application/json" hidden>
+                </div>
+            </div>
+        </div>
+    `;
+    container.appendChild(panel);
+
+    panel.querySelectorAll('[data-cui-setting]').forEach(input => {
+        input.addEventListener('change', () => {
+            const key = input.dataset.cuiSetting;
+            if (input.type === 'checkbox') {
+                settings[key] = input.checked;
+            } else if (key === 'ringMarkers') {
+                settings[key] = parseRingMarkers(input.value);
+            } else if (key === 'warningThreshold' || key === 'criticalThreshold') {
+                const value = Math.round(clampPercent(Number(input.value)));
+                settings[key] = value > 0 ? value : defaultSettings[key];
+            } else if (input.type === 'number') {
+                const value = Number(input.value);
+                settings[key] = Number.isFinite(value) && value >= 0 ? value : defaultSettings[key];
+            } else {
+                settings[key] = input.value;
             }
+
+            syncSettingsPanel();
+            saveSettingsDebounced();
+            applySettings();
         });
+    });
 
-        // Reposition on scroll/resize
-        window.addEventListener('scroll', () => {
-            if (isPopoverVisible) positionPopover();
-        }, true);
-        window.addEventListener('resize', () => {
-            if (isPopoverVisible) positionPopover();
+    panel.querySelectorAll('[data-cui-row]').forEach(input => {
+        input.addEventListener('change', () => {
+            const row = input.dataset.cuiRow;
+            settings.hiddenBreakdownRows = settings.hiddenBreakdownRows.filter(id => id !== row);
+            if (!input.checked) {
+                settings.hiddenBreakdownRows.push(row);
+            }
+
+            saveSettingsDebounced();
+            updateUI(latestSnapshot);
         });
+    });
+
+    const priceFileInput = panel.querySelector('#cui_price_file');
+    panel.querySelector('#cui_price_add').addEventListener('click', () => {
+        const row = createPriceRow();
+        panel.querySelector('#cui_price_table').appendChild(row);
+        row.querySelector('input').focus();
+    });
+    panel.querySelector('#cui_price_import').addEventListener('click', () => priceFileInput.click());
+    priceFileInput.addEventListener('change', async () => {
+        const [file] = priceFileInput.files;
+        priceFileInput.value = '';
+        if (file) {
+            await importPriceTable(file);
+        }
+    });
+    panel.querySelector('#cui_price_export').addEventListener('click', exportPriceTable);
+    panel.querySelector('#cui_price_reset').addEventListener('click', () => {
+        settings.priceTable = null;
+        saveSettingsDebounced();
+        renderPriceTableEditor();
+        refreshCostEstimate();
+    });
+
+    panel.querySelector('#cui_floating_reset').addEventListener('click', () => {
+        settings.floatingPosition = null;
+        saveSettingsDebounced();
+        applyFloatingPosition();
+    });
+
+    syncSettingsPanel();
+    renderPriceTableEditor();
+    renderSectionCapEditor();
+}
+
+/**
+ * Get a copy of the latest snapshot
+ * @returns {object|null} Snapshot, or null before the first update
+ */
+function getSnapshot() {
+    return latestSnapshot ? structuredClone(latestSnapshot) : null;
+}
+
+/**
+ * Recalculate usage now
+ * @returns {Promise<object|null>} The refreshed snapshot
+ */
+async function refresh() {
+    await updateContextUsage();
+    return getSnapshot();
+}
+
+/**
+ * Call a function with every new snapshot
+ * @param {(snapshot: object) => void} callback Called after each update
+ * @returns {() => void} Unsubscribe function
+ */
+function subscribe(callback) {
+    if (typeof callback !== 'function') {
+        throw new TypeError('subscribe() expects a function');
+    }
+    subscribers.add(callback);
+    return () => subscribers.delete(callback);
+}
+
+/**
+ * Read a single snapshot field for scripts, including a few derived values
+ */
+function getSnapshotField(snapshot, field) {
+    const toCostString = (value) => (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(4) : value);
+    const derived = {
+        turnsRemaining: snapshot?.forecast?.turnsRemaining,
+        messagesInContext: snapshot?.contextMessages?.includedCount,
+        // Costs are often fractions of a cent, so keep more decimals than other fields
+        nextRequestCost: toCostString(snapshot?.cost?.nextRequestMax),
+        chatCost: toCostString(snapshot?.cost?.chatTotal),
+        sessionCost: toCostString(snapshot?.cost?.sessionTotal),
+    };
+    const value = field in derived ? derived[field] : snapshot?.[field];
+
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '';
     }
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Expose the public JS API on the global namespace
+ */
+function registerPublicApi() {
+    globalThis[PUBLIC_API_NAMESPACE] = Object.freeze({
+        getSnapshot,
+        refresh,
+        subscribe,
+        eventName: CONTEXT_USAGE_UPDATED_EVENT,
+    });
+}
+
+/**
+ * Register STscript slash commands
+ */
+function registerSlashCommands() {
+    const fields = [
+        'percent',
+        'totalTokens',
+        'remainingTokens',
+        'budget',
+        'contextSize',
+        'responseLength',
+        'usageLevel',
+        'turnsRemaining',
+        'messagesInContext',
+        'chatHistoryTokens',
+        'worldInfoTokens',
+        'characterTokens',
+        'personaTokens',
+        'projectedPercent',
+        'tokensReady',
+    ];
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'context-usage',
+        aliases: ['ctx-usage'],
+        callback: async (args) => {
+            const snapshot = String(args.refresh) === 'true' ? await refresh() : getSnapshot();
+            if (!snapshot) return '';
+            return args.field ? getSnapshotField(snapshot, args.field) : JSON.stringify(snapshot);
+        },
+        helpString: `
+            <div>Returns the current context usage snapshot as JSON, or a single field of it.</div>
+            <div><strong>Example:</strong> <code>/context-usage field=percent</code></div>
+        `,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'field',
+                description: 'Snapshot field to return',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: fields,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'refresh',
+                description: 'Recalculate usage before returning',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        returns: 'snapshot JSON or field value',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'context-usage-export',
+        callback: async (args) => {
+            const includePromptBlocks = args.blocks === undefined
+                ? getSettings().exportPromptBlocks
+                : String(args.blocks) === 'true';
+            return exportUsageReport(String(args.format) === 'csv' ? 'csv' : 'json', {
+                includePromptBlocks,
+                save: String(args.download) !== 'false',
+            });
+        },
+        helpString: `
+            <div>Exports the current chat's usage history as JSON or CSV, downloads it and returns it.</div>
+            <div><strong>Example:</strong> <code>/context-usage-export format=csv blocks=true</code></div>
+        `,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: 'Report format',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'json',
+                enumList: ['json', 'csv'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'blocks',
+                description: 'Include the prompt block list (defaults to the extension setting)',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                enumList: ['true', 'false'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'download',
+                description: 'Save the report as a file',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'true',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        returns: 'report as JSON or CSV text',
+    }));
 }
 
 /**
  * Setup event listeners
  */
 function setupEventListeners() {
+    // Each finished generation adds a point to the chat's usage history
+    // (registered first so the refresh below records it)
+    if (event_types.MESSAGE_RECEIVED) {
+        eventSource.on(event_types.MESSAGE_RECEIVED, (messageId, type) => {
+            markGenerationForRecording(messageId, type);
+            if (!getSettings().autoRefresh) {
+                scheduleContextUsageUpdate();
+            }
+        });
+    }
+
+    if (event_types.CHAT_CHANGED) {
+        eventSource.on(event_types.CHAT_CHANGED, () => {
+            lastDraftedCharacterId = null;
+            pendingGeneration = null;
+            renderSectionCapEditor();
+        });
+    }
+
+    // Group generations announce which member is about to speak
+    if (event_types.GROUP_MEMBER_DRAFTED) {
+        eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (characterId) => {
+            lastDraftedCharacterId = Number(characterId);
+            // The cap editor's character column follows the speaker
+            renderSectionCapEditor();
+        });
+    }
+
+    // Activated entries arrive while the prompt is built, before the refresh that follows it
+    if (event_types.WORLD_INFO_ACTIVATED) {
+        eventSource.on(event_types.WORLD_INFO_ACTIVATED, recordActivatedWorldInfo);
+    }
+
+    // The host only reports activations when some entries fired, so drop the previous list when a real generation starts
+    if (event_types.GENERATION_STARTED) {
+        eventSource.on(event_types.GENERATION_STARTED, (_type, _options, dryRun) => {
+            if (!dryRun) {
+                activatedWorldInfo = null;
+            }
+        });
+    }
+
     const eventsToListen = [
         event_types.CHAT_COMPLETION_PROMPT_READY,
+        // Text-completion APIs store their itemized prompt once the request is sent
+        event_types.MESSAGE_RECEIVED,
+        event_types.GENERATION_ENDED,
+        event_types.GENERATION_STOPPED,
         event_types.SETTINGS_UPDATED,
         event_types.MAIN_API_CHANGED,
+        // Sent after the chat's itemized prompts are loaded
         event_types.CHAT_CHANGED,
+        // Editing the chat changes which messages fit and what each member contributed
+        event_types.MESSAGE_EDITED,
+        event_types.MESSAGE_DELETED,
+        event_types.MESSAGE_SWIPED,
     ].filter(Boolean);
 
     eventsToListen.forEach(eventName => {
         eventSource.on(eventName, () => {
-            updateContextUsage();
+            if (getSettings().autoRefresh) {
+                scheduleContextUsageUpdate();
+            }
+        });
+    });
+
+    // Chat and API switches always refresh, so manual mode never shows another chat's usage
+    [
+        event_types.MAIN_API_CHANGED,
+        event_types.CHAT_CHANGED,
+    ].filter(Boolean).forEach(eventName => {
+        eventSource.on(eventName, () => {
+            if (!getSettings().autoRefresh) {
+                scheduleContextUsageUpdate();
+            }
+        });
+    });
+
+    // Re-rendered messages lose the context marker
+    [
+        event_types.USER_MESSAGE_RENDERED,
+        event_types.CHARACTER_MESSAGE_RENDERED,
+        event_types.MORE_MESSAGES_LOADED,
+        event_types.CHAT_LOADED,
+    ].filter(Boolean).forEach(eventName => {
+        eventSource.on(eventName, () => {
+            updateContextMarker(latestSnapshot);
+        });
+    });
+
+    // Live pre-send estimate of the text being typed
+    document.addEventListener('input', (e) => {
+        if (e.target?.id === 'send_textarea') {
+            scheduleDraftEstimate();
+        }
+    });
+
+    // The textarea is cleared programmatically on send, which fires no input event
+    [
+        event_types.MESSAGE_SENT,
+        event_types.GENERATION_STARTED,
+    ].filter(Boolean).forEach(eventName => {
+        eventSource.on(eventName, () => {
+            scheduleDraftEstimate();
         });
     });
 }
 
+/**
+ * Find the element the trigger mounts into for the current display mode
+ */
+function getMountTarget() {
+    const { displayMode, placement } = getSettings();
+    if (displayMode === 'floating') return document.body;
+    if (displayMode === 'bar') return document.getElementById('send_form');
+
+    const leftSendForm = document.getElementById('leftSendForm');
+    return placement === 'right' ? document.getElementById('rightSendForm') ?? leftSendForm : leftSendForm;
+}
+
 /**
  * Ensure button exists in DOM
  */
 function ensureButtonExists() {
-    const leftSendForm = document.getElementById('leftSendForm');
+    if (!getSettings().enabled) return;
+
     const existingButton = document.getElementById('cui_button');
-    
-    if (!existingButton && leftSendForm) {
+
+    if (!existingButton && getMountTarget()) {
         createUI();
     }
 }
@@ -612,8 +4175,10 @@ function ensureButtonExists() {
 async function initialize() {
     console.log(`[${MODULE_NAME}] Initializing...`);
 
-    // Initial update
-    await updateContextUsage();
+    // Settings
+    getSettings();
+    await loadDefaultPrices();
+    createSettingsPanel();
 
     // Create UI
     createUI();
@@ -621,12 +4186,24 @@ async function initialize() {
     // Setup event listeners
     setupEventListeners();
 
-    // Watch for DOM changes (in case leftSendForm is recreated)
+    // External surface for scripts and other extensions
+    registerPublicApi();
+    registerSlashCommands();
+
+    // Watch the send form (in case leftSendForm is recreated or the trigger is removed),
+    // plus the body's direct children, where the floating trigger lives
     const observer = new MutationObserver(() => {
         ensureButtonExists();
     });
 
-    observer.observe(document.body, { childList: true, subtree: true });
+    const sendForm = document.getElementById('send_form');
+    observer.observe(sendForm ?? document.body, { childList: true, subtree: true });
+    if (sendForm) {
+        observer.observe(document.body, { childList: true });
+    }
+
+    // Initial update, once everything that shows or requests it is in place
+    await updateContextUsage();
 
     console.log(`[${MODULE_NAME}] Initialized successfully`);
 }
@@ -638,3 +4215,6 @@ eventSource.on(event_types.APP_READY, initialize);
 eventSource.on(event_types.CHAT_CHANGED, () => {
     ensureButtonExists();
 });
+
+// Internals exercised by the Node test suite in test/
+export { applySectionCaps, buildContextUsageSnapshot, createIndicator, createPopoverContent, ensurePromptManagerReady, getContextDetails, getSettings, markGenerationForRecording, notifyThresholdCrossings, recordActivatedWorldInfo, recordPendingGeneration };
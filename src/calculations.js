@@ -0,0 +1,532 @@
+/**
+ * CT-ContextUsageIndicator calculations
+ * Pure usage arithmetic, free of DOM access and SillyTavern imports so it can be tested in Node
+ */
+
+// Columns of exported usage reports, in CSV order
+export const HISTORY_EXPORT_FIELDS = [
+    'timestamp',
+    'messageIndex',
+    'mainApi',
+    'model',
+    'budget',
+    'contextSize',
+    'responseLength',
+    'totalTokens',
+    'percent',
+    'usageLevel',
+    'chatHistoryTokens',
+    'worldInfoTokens',
+    'characterTokens',
+    'personaTokens',
+    'storyStringTokens',
+    'examplesTokens',
+    'mediaTokens',
+    'toolTokens',
+    'unaccountedTokens',
+];
+
+// Published media token costs
+export const IMAGE_LOW_DETAIL_TOKENS = 85;
+const CLAUDE_IMAGE_MAX_EDGE = 1568;
+const CLAUDE_IMAGE_MAX_TOKENS = 1600;
+const GOOGLE_IMAGE_TILE_TOKENS = 258;
+
+// Segmented ring categories, in drawing order (clockwise from the top)
+export const RING_SEGMENTS = [
+    { id: 'history', label: 'Chat History', field: 'chatHistoryTokens' },
+    { id: 'worldInfo', label: 'World Info', field: 'worldInfoTokens' },
+    { id: 'character', label: 'Character', field: 'characterTokens' },
+    { id: 'persona', label: 'Persona', field: 'personaTokens' },
+    { id: 'media', label: 'Attachments/Media', field: 'mediaTokens' },
+    { id: 'other', label: 'System/Other', field: null },
+];
+
+/**
+ * Utility: Clamp percentage between 0-100
+ */
+export function clampPercent(value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return 0;
+    return Math.max(0, Math.min(100, value));
+}
+
+/**
+ * Clamp a start coordinate so a box of the given size stays within [min, max]
+ */
+export function clampToRange(start, size, min, max) {
+    return Math.max(min, Math.min(start, max - size));
+}
+
+/**
+ * Work out context size, response length and prompt budget from the host's values
+ * Falls back to the generic context size and amount_gen when the chat-completion settings are missing,
+ * and derives whichever of context size or budget is unknown from the other
+ */
+export function resolveContextDetails({ mainApi, maxContextSize, chatCompletionSettings, maxContext, amountGen }) {
+    const budget = Number(maxContextSize) || 0;
+
+    let contextSize = 0;
+    if (mainApi === 'openai') {
+        contextSize = Number(chatCompletionSettings?.openai_max_context) || 0;
+    }
+    if (!contextSize) {
+        contextSize = Number(maxContext) || 0;
+    }
+
+    let responseLength = contextSize > 0 ? Math.max(0, contextSize - budget) : 0;
+    if (!responseLength) {
+        if (mainApi === 'openai') {
+            responseLength = Number(chatCompletionSettings?.openai_max_tokens) || 0;
+        }
+        if (!responseLength) {
+            responseLength = Number(amountGen) || 0;
+        }
+        if (!contextSize && (budget || responseLength)) {
+            contextSize = Math.max(0, budget) + Math.max(0, responseLength);
+        }
+    }
+
+    return {
+        mainApi,
+        contextSize,
+        responseLength,
+        budget: budget > 0 ? budget : Math.max(0, contextSize - responseLength),
+    };
+}
+
+/**
+ * Classify usage percentage against warning and critical thresholds
+ */
+export function classifyUsageLevel(percent, warningThreshold, criticalThreshold) {
+    if (percent >= criticalThreshold) return 'critical';
+    if (percent >= warningThreshold) return 'warning';
+    return 'normal';
+}
+
+/**
+ * Add the projected "next send" usage (committed total + typed draft) to a snapshot
+ */
+export function projectDraft(snapshot, draftTokens) {
+    if (!snapshot) return snapshot;
+
+    const hasDraft = Boolean(snapshot.tokensReady) && draftTokens > 0;
+    const projectedTokens = hasDraft ? snapshot.totalTokens + draftTokens : null;
+    const projectedPercent = hasDraft && snapshot.percentBase > 0
+        ? (projectedTokens / snapshot.percentBase) * 100
+        : null;
+
+    return {
+        ...snapshot,
+        draftTokens: hasDraft ? draftTokens : 0,
+        projectedTokens,
+        projectedPercent,
+    };
+}
+
+/**
+ * Forecast how many more user+assistant turns fit before the prompt budget is exhausted
+ */
+export function buildTurnForecast({ budget, totalTokens, chatHistoryTokens, contextMessages, chatMessages }) {
+    const chatLength = Array.isArray(chatMessages) ? chatMessages.length : 0;
+    const messages = Array.isArray(chatMessages) ? chatMessages.filter(message => message && !message.is_system) : [];
+    const userMessages = messages.filter(message => message.is_user).length;
+    if (!(chatHistoryTokens > 0) || !contextMessages || !(budget > 0)) return null;
+
+    const messagesInPrompt = contextMessages.includedCount;
+
+    // Group chats can have several replies per user message
+    const messagesPerTurn = userMessages > 0 ? Math.max(1, messages.length / userMessages) : 2;
+    const averageTokensPerTurn = (chatHistoryTokens / messagesInPrompt) * messagesPerTurn;
+    const remainingTokens = Math.max(0, budget - totalTokens);
+    const turnsRemaining = averageTokensPerTurn > 0 ? Math.floor(remainingTokens / averageTokensPerTurn) : null;
+    const trimming = messagesInPrompt < contextMessages.totalCount;
+
+    return {
+        averageTokensPerTurn,
+        turnsRemaining,
+        messagesInPrompt,
+        totalMessages: contextMessages.totalCount,
+        trimming,
+        // Message number at which the oldest messages start falling out of the prompt
+        dropStartsAtMessage: trimming || turnsRemaining === null
+            ? null
+            : chatLength + Math.ceil(turnsRemaining * messagesPerTurn),
+    };
+}
+
+/**
+ * Recalculate a snapshot's usage under a different context size, response length or tokenizer
+ * History messages left out of the current prompt are assumed to cost as much as the average included one,
+ * and the oldest are trimmed until the prompt fits the simulated budget
+ * @param {object} snapshot Usage snapshot with the breakdown fields
+ * @param {object} scenario Context size and response length in tokens, and the token count ratio of the other tokenizer
+ * @returns {object|null} Simulated budget, prompt size and trimming, or null when the snapshot has no usage
+ */
+export function simulateUsage(snapshot, { contextSize, responseLength, tokenRatio = 1, percentBasis = 'budget' }) {
+    if (!snapshot?.tokensReady) return null;
+
+    const size = Math.max(0, Number(contextSize) || 0);
+    const response = Math.min(size, Math.max(0, Number(responseLength) || 0));
+    const budget = size - response;
+    const ratio = tokenRatio > 0 ? tokenRatio : 1;
+    const scale = (tokens) => (typeof tokens === 'number' && Number.isFinite(tokens) ? Math.max(0, tokens) * ratio : 0);
+
+    const historyTokens = scale(snapshot.chatHistoryTokens);
+    const fixedTokens = Math.max(0, scale(snapshot.totalTokens) - historyTokens);
+    const range = snapshot.contextMessages;
+    const tokensPerMessage = range?.includedCount > 0 ? historyTokens / range.includedCount : 0;
+
+    let includedMessages = null;
+    let promptTokens = fixedTokens + historyTokens;
+    if (tokensPerMessage > 0) {
+        const room = Math.max(0, budget - fixedTokens);
+        includedMessages = Math.min(range.totalCount, Math.floor(room / tokensPerMessage));
+        promptTokens = fixedTokens + includedMessages * tokensPerMessage;
+    }
+
+    const percentBase = percentBasis === 'context' && size > 0 ? size : budget;
+    return {
+        contextSize: size,
+        responseLength: response,
+        budget,
+        totalTokens: Math.round(promptTokens),
+        percent: percentBase > 0 ? (promptTokens / percentBase) * 100 : 0,
+        includedMessages,
+        trimmedMessages: includedMessages === null ? null : range.totalCount - includedMessages,
+        // Without any chat history the rest of the prompt still has to fit
+        fits: fixedTokens <= budget,
+    };
+}
+
+/**
+ * Read the context size and response length a completion preset sets
+ * Chat-completion, NovelAI and other text-completion presets store them under different names
+ * @returns {{contextSize: number, responseLength: number, fromPreset: boolean}}
+ */
+export function resolvePresetLimits(api, preset, fallback) {
+    const fields = {
+        openai: ['openai_max_context', 'openai_max_tokens'],
+        novel: ['max_context', 'max_length'],
+    }[api] ?? ['max_length', 'genamt'];
+
+    const contextSize = Number(preset?.[fields[0]]);
+    const responseLength = Number(preset?.[fields[1]]);
+    const hasContext = Number.isFinite(contextSize) && contextSize > 0;
+    const hasResponse = Number.isFinite(responseLength) && responseLength > 0;
+
+    return {
+        contextSize: hasContext ? contextSize : Number(fallback?.contextSize) || 0,
+        responseLength: hasResponse ? responseLength : Number(fallback?.responseLength) || 0,
+        fromPreset: hasContext || hasResponse,
+    };
+}
+
+/**
+ * Guess the tokenizer family of a chat-completion model from its name
+ * @returns {string|null} Tokenizer key, 'openai' for unrecognised models, or null without a model
+ */
+export function guessTokenizerForModel(model) {
+    if (typeof model !== 'string' || !model.trim()) return null;
+
+    const name = model.toLowerCase();
+    const families = [
+        ['claude', /claude/],
+        ['llama3', /llama-?[34]/],
+        ['llama', /llama/],
+        ['nemo', /nemo/],
+        ['mistral', /mistral|mixtral|codestral|ministral|magistral/],
+        ['gemma', /gemma|gemini/],
+        ['qwen2', /qwen|qwq/],
+        ['deepseek', /deepseek/],
+        ['command-a', /command-a/],
+        ['command-r', /command/],
+        ['jamba', /jamba/],
+        ['yi', /(^|\/)yi-/],
+    ];
+    return families.find(([, pattern]) => pattern.test(name))?.[0] ?? 'openai';
+}
+
+/**
+ * Split the snapshot total into ring segments, each sized by its share of the budget
+ */
+export function getRingSegments(snapshot) {
+    if (!snapshot?.tokensReady || !(snapshot.percentBase > 0)) return [];
+
+    const readTokens = (field) => {
+        const value = snapshot[field];
+        return typeof value === 'number' && Number.isFinite(value) ? Math.max(0, value) : 0;
+    };
+    const knownTokens = RING_SEGMENTS
+        .filter(segment => segment.field)
+        .reduce((sum, segment) => sum + readTokens(segment.field), 0);
+
+    return RING_SEGMENTS.map(segment => {
+        const tokens = segment.field ? readTokens(segment.field) : Math.max(0, snapshot.totalTokens - knownTokens);
+        return {
+            id: segment.id,
+            label: segment.label,
+            tokens,
+            percent: (tokens / snapshot.percentBase) * 100,
+        };
+    });
+}
+
+/**
+ * Flatten message content to text; array content keeps its text parts and reports the rest as media
+ */
+export function normalizeMessageContent(content) {
+    if (typeof content === 'string') return { text: content, mediaParts: 0 };
+    if (!Array.isArray(content)) return { text: '', mediaParts: 0 };
+
+    const textParts = content
+        .filter(part => typeof part === 'string' || part?.type === 'text')
+        .map(part => (typeof part === 'string' ? part : String(part.text ?? '')));
+    return { text: textParts.join('\n'), mediaParts: content.length - textParts.length };
+}
+
+/**
+ * Convert a prompt message to the flat string fields the token counter expects
+ */
+export function normalizeMessageForCounting(message) {
+    const normalized = {};
+    let mediaParts = 0;
+
+    for (const [key, value] of Object.entries(message ?? {})) {
+        if (value === null || value === undefined) continue;
+        if (key === 'content') {
+            const content = normalizeMessageContent(value);
+            normalized.content = content.text;
+            mediaParts += content.mediaParts;
+        } else if (typeof value === 'string') {
+            normalized[key] = value;
+        } else if (typeof value === 'object') {
+            // Tool calls and similar structures are sent to the API serialized
+            normalized[key] = JSON.stringify(value);
+        }
+    }
+
+    return { message: normalized, mediaParts };
+}
+
+/**
+ * Estimate image tokens from its dimensions using the provider's published formula
+ */
+export function estimateImageTokens(width, height, detail, provider) {
+    if (!(width > 0) || !(height > 0)) return IMAGE_LOW_DETAIL_TOKENS;
+
+    if (provider === 'claude') {
+        // Scaled so the long edge fits 1568px, then width * height / 750, up to ~1600 tokens
+        const scale = Math.min(1, CLAUDE_IMAGE_MAX_EDGE / Math.max(width, height));
+        return Math.min(CLAUDE_IMAGE_MAX_TOKENS, Math.ceil((width * scale) * (height * scale) / 750));
+    }
+
+    if (provider === 'google') {
+        // Up to 384px on both sides is one 258-token tile; larger images are split into 768px tiles
+        if (width <= 384 && height <= 384) return GOOGLE_IMAGE_TILE_TOKENS;
+        return Math.ceil(width / 768) * Math.ceil(height / 768) * GOOGLE_IMAGE_TILE_TOKENS;
+    }
+
+    // OpenAI: fit within 2048px, scale the short side down to 768px, then 170 tokens per 512px tile plus 85
+    if (detail === 'low' || (detail === 'auto' && width <= 512 && height <= 512)) return IMAGE_LOW_DETAIL_TOKENS;
+    const fit = Math.min(1, 2048 / Math.max(width, height));
+    const shrink = Math.min(1, 768 / Math.min(width * fit, height * fit));
+    const tiles = Math.ceil((width * fit * shrink) / 512) * Math.ceil((height * fit * shrink) / 512);
+    return tiles * 170 + IMAGE_LOW_DETAIL_TOKENS;
+}
+
+/**
+ * Validate a price table, accepting either the bundled file format or a plain model map
+ * @returns {object|null} Model prices keyed by lowercase model name, or null when nothing is valid
+ */
+export function parsePriceTable(data) {
+    const models = data?.models ?? data;
+    if (!models || typeof models !== 'object' || Array.isArray(models)) return null;
+
+    const table = {};
+    for (const [model, price] of Object.entries(models)) {
+        const input = Number(price?.input);
+        const output = Number(price?.output);
+        if (model.trim() && Number.isFinite(input) && input >= 0 && Number.isFinite(output) && output >= 0) {
+            table[model.trim().toLowerCase()] = { input, output };
+        }
+    }
+    return Object.keys(table).length > 0 ? table : null;
+}
+
+/**
+ * Find the price for a model; the longest table key the model name starts with wins
+ * Provider prefixes such as "openai/" (OpenRouter) are ignored
+ */
+export function findPriceInTable(model, table) {
+    if (typeof model !== 'string' || !model || !table) return null;
+
+    const name = model.toLowerCase().split('/').pop();
+    const key = Object.keys(table)
+        .filter(candidate => name.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? { key, ...table[key] } : null;
+}
+
+/**
+ * Convert token counts to money using per-million prices
+ */
+export function calculateCost(price, inputTokens, outputTokens) {
+    return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1_000_000;
+}
+
+/**
+ * Utility: Quote a CSV cell when needed
+ * Text starting with a formula character is prefixed with an apostrophe so spreadsheets don't evaluate it
+ */
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a usage report to CSV, with one column per prompt block seen anywhere in the history
+ */
+export function usageReportToCsv(report) {
+    const blockColumns = new Map();
+    if (report.includesPromptBlocks) {
+        const labelCounts = new Map();
+        report.entries.flatMap(entry => entry.promptBlocks ?? []).forEach(block => {
+            if (blockColumns.has(block.key)) return;
+            const count = labelCounts.get(block.label) ?? 0;
+            labelCounts.set(block.label, count + 1);
+            // Custom prompts can share a name, so repeated labels get their key appended
+            blockColumns.set(block.key, count === 0 ? `block:${block.label}` : `block:${block.label} (${block.key})`);
+        });
+    }
+
+    const header = [...HISTORY_EXPORT_FIELDS, ...blockColumns.values()];
+    const rows = report.entries.map(entry => {
+        const blockTokens = new Map((entry.promptBlocks ?? []).map(block => [block.key, block.tokens]));
+        return [
+            ...HISTORY_EXPORT_FIELDS.map(field => entry[field]),
+            ...Array.from(blockColumns.keys(), key => blockTokens.get(key)),
+        ];
+    });
+
+    return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n');
+}
+
+/**
+ * Parse a section cap as typed in settings: "25%" of the budget, "2000" or "2k" tokens, or "off"
+ * @returns {object|false|null} The cap, false for "off" (lifts an inherited cap), or null when blank or invalid
+ */
+export function parseSectionCap(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (text === 'off' || text === 'none') return false;
+
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(%|k)?$/);
+    const number = match ? Number(match[1]) : NaN;
+    if (!(number > 0)) return null;
+
+    if (match[2] === '%') {
+        return number <= 100 ? { unit: 'percent', value: number } : null;
+    }
+    return { unit: 'tokens', value: Math.round(match[2] === 'k' ? number * 1000 : number) };
+}
+
+/**
+ * Format a section cap the way parseSectionCap reads it
+ */
+export function formatSectionCap(cap) {
+    if (cap === false) return 'off';
+    if (!cap) return '';
+    return cap.unit === 'percent' ? `${cap.value}%` : String(cap.value);
+}
+
+/**
+ * Merge the global section caps with a character's overrides, noting where each cap came from
+ */
+export function resolveSectionCaps(globalCaps, characterCaps) {
+    const caps = {};
+    for (const [section, cap] of Object.entries(globalCaps ?? {})) {
+        if (cap) caps[section] = { ...cap, source: 'global' };
+    }
+    for (const [section, cap] of Object.entries(characterCaps ?? {})) {
+        if (cap === false) {
+            delete caps[section];
+        } else if (cap) {
+            caps[section] = { ...cap, source: 'character' };
+        }
+    }
+    return caps;
+}
+
+/**
+ * Sum prompt block tokens per breakdown section
+ * Sections without any block take their total from the fallbacks (e.g. the snapshot's character and persona counts)
+ */
+export function getSectionTokens(promptBlocks, fallbackTokens = {}) {
+    const totals = {};
+    (Array.isArray(promptBlocks) ? promptBlocks : []).forEach(block => {
+        totals[block.group] = (totals[block.group] ?? 0) + (block.tokens || 0);
+    });
+    Object.entries(fallbackTokens).forEach(([section, tokens]) => {
+        if (!(section in totals) && tokens > 0) {
+            totals[section] = tokens;
+        }
+    });
+    return totals;
+}
+
+/**
+ * Compare section totals with their caps; percentage caps are measured against the prompt budget
+ * @returns {object[]} One violation per section over its cap, largest overflow first
+ */
+export function evaluateSectionCaps(sectionTokens, caps, budget) {
+    return Object.entries(caps ?? {})
+        .flatMap(([section, cap]) => {
+            if (cap.unit === 'percent' && !(budget > 0)) return [];
+
+            const limit = cap.unit === 'percent' ? Math.floor((budget * cap.value) / 100) : cap.value;
+            const tokens = sectionTokens?.[section] ?? 0;
+            if (tokens <= limit) return [];
+
+            return [{
+                section,
+                tokens,
+                limit,
+                overBy: tokens - limit,
+                overByPercent: limit > 0 ? ((tokens - limit) / limit) * 100 : null,
+                cap: formatSectionCap(cap),
+                source: cap.source ?? 'global',
+            }];
+        })
+        .sort((a, b) => b.overBy - a.overBy);
+}
+
+/**
+ * Parse a comma-separated list of ring marker percentages
+ */
+export function parseRingMarkers(value) {
+    return String(value ?? '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(Number)
+        .filter(percentage => Number.isFinite(percentage) && percentage > 0 && percentage <= 100);
+}
+
+/**
+ * Wait for a condition with timeout
+ */
+export function waitUntilCondition(condition, timeout = 5000, interval = 150) {
+    return new Promise((resolve) => {
+        const startTime = Date.now();
+        const check = () => {
+            if (condition()) {
+                resolve(true);
+            } else if (Date.now() - startTime >= timeout) {
+                resolve(false);
+            } else {
+                setTimeout(check, interval);
+            }
+        };
+        check();
+    });
+}
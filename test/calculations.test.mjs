@@ -0,0 +1,299 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildTurnForecast,
+    calculateCost,
+    classifyUsageLevel,
+    estimateImageTokens,
+    evaluateSectionCaps,
+    findPriceInTable,
+    formatSectionCap,
+    getRingSegments,
+    getSectionTokens,
+    guessTokenizerForModel,
+    normalizeMessageContent,
+    normalizeMessageForCounting,
+    parsePriceTable,
+    parseRingMarkers,
+    parseSectionCap,
+    projectDraft,
+    resolveContextDetails,
+    resolvePresetLimits,
+    resolveSectionCaps,
+    simulateUsage,
+    toCsvCell,
+    usageReportToCsv,
+    waitUntilCondition,
+} from '../src/calculations.js';
+
+test('resolveContextDetails reads chat-completion limits for OpenAI', () => {
+    const details = resolveContextDetails({
+        mainApi: 'openai',
+        maxContextSize: 7000,
+        chatCompletionSettings: { openai_max_context: 8000, openai_max_tokens: 500 },
+        maxContext: 4096,
+        amountGen: 200,
+    });
+    assert.deepEqual(details, { mainApi: 'openai', contextSize: 8000, responseLength: 1000, budget: 7000 });
+});
+
+test('resolveContextDetails uses max_context and amount_gen for other APIs', () => {
+    const details = resolveContextDetails({
+        mainApi: 'kobold',
+        maxContextSize: 3584,
+        chatCompletionSettings: { openai_max_context: 8000 },
+        maxContext: 4096,
+        amountGen: 512,
+    });
+    assert.deepEqual(details, { mainApi: 'kobold', contextSize: 4096, responseLength: 512, budget: 3584 });
+});
+
+test('resolveContextDetails derives the missing side from the other', () => {
+    assert.deepEqual(
+        resolveContextDetails({ mainApi: 'openai', maxContextSize: 3000, chatCompletionSettings: { openai_max_tokens: 300 } }),
+        { mainApi: 'openai', contextSize: 3300, responseLength: 300, budget: 3000 },
+    );
+    assert.deepEqual(
+        resolveContextDetails({ mainApi: undefined }),
+        { mainApi: undefined, contextSize: 0, responseLength: 0, budget: 0 },
+    );
+});
+
+test('classifyUsageLevel applies thresholds inclusively', () => {
+    assert.equal(classifyUsageLevel(74.9, 75, 90), 'normal');
+    assert.equal(classifyUsageLevel(75, 75, 90), 'warning');
+    assert.equal(classifyUsageLevel(95, 75, 90), 'critical');
+});
+
+test('projectDraft adds the draft to ready snapshots only', () => {
+    const snapshot = { tokensReady: true, totalTokens: 500, percentBase: 1000 };
+    assert.deepEqual(projectDraft(snapshot, 100), { ...snapshot, draftTokens: 100, projectedTokens: 600, projectedPercent: 60 });
+    assert.equal(projectDraft({ ...snapshot, tokensReady: false }, 100).projectedTokens, null);
+    assert.equal(projectDraft(null, 100), null);
+});
+
+test('buildTurnForecast estimates turns left and the first dropped message', () => {
+    const chatMessages = [
+        { is_user: true }, { is_user: false },
+        { is_user: true }, { is_user: false },
+        { is_system: true },
+    ];
+    const forecast = buildTurnForecast({
+        budget: 1000,
+        totalTokens: 400,
+        chatHistoryTokens: 200,
+        contextMessages: { includedCount: 4, totalCount: 4 },
+        chatMessages,
+    });
+    assert.equal(forecast.averageTokensPerTurn, 100);
+    assert.equal(forecast.turnsRemaining, 6);
+    assert.equal(forecast.trimming, false);
+    assert.equal(forecast.dropStartsAtMessage, 17);
+});
+
+test('buildTurnForecast reports trimming and needs chat history', () => {
+    const contextMessages = { includedCount: 2, totalCount: 4 };
+    const forecast = buildTurnForecast({ budget: 1000, totalTokens: 990, chatHistoryTokens: 100, contextMessages, chatMessages: [] });
+    assert.equal(forecast.trimming, true);
+    assert.equal(forecast.dropStartsAtMessage, null);
+    assert.equal(buildTurnForecast({ budget: 1000, totalTokens: 10, chatHistoryTokens: 0, contextMessages, chatMessages: [] }), null);
+});
+
+test('simulateUsage brings back or trims history to fit the simulated budget', () => {
+    const snapshot = {
+        tokensReady: true,
+        totalTokens: 1000,
+        chatHistoryTokens: 600,
+        contextMessages: { includedCount: 6, totalCount: 10 },
+    };
+
+    const larger = simulateUsage(snapshot, { contextSize: 2000, responseLength: 500 });
+    assert.equal(larger.budget, 1500);
+    assert.equal(larger.totalTokens, 1400);
+    assert.equal(larger.trimmedMessages, 0);
+    assert.ok(Math.abs(larger.percent - 93.33) < 0.01);
+
+    const smaller = simulateUsage(snapshot, { contextSize: 1000, responseLength: 200 });
+    assert.equal(smaller.includedMessages, 4);
+    assert.equal(smaller.trimmedMessages, 6);
+    assert.equal(smaller.totalTokens, 800);
+    assert.equal(smaller.percent, 100);
+
+    const tooSmall = simulateUsage(snapshot, { contextSize: 400, responseLength: 100 });
+    assert.equal(tooSmall.fits, false);
+    assert.equal(tooSmall.trimmedMessages, 10);
+});
+
+test('simulateUsage scales by the tokenizer ratio and the percent basis', () => {
+    const snapshot = {
+        tokensReady: true,
+        totalTokens: 1000,
+        chatHistoryTokens: 600,
+        contextMessages: { includedCount: 6, totalCount: 10 },
+    };
+
+    const result = simulateUsage(snapshot, { contextSize: 16000, responseLength: 0, tokenRatio: 2 });
+    assert.equal(result.totalTokens, 2800);
+    assert.equal(simulateUsage(snapshot, { contextSize: 2000, responseLength: 1000, percentBasis: 'context' }).percent, 50);
+    assert.equal(simulateUsage({ ...snapshot, contextMessages: null }, { contextSize: 2000 }).trimmedMessages, null);
+    assert.equal(simulateUsage({ tokensReady: false }, { contextSize: 2000 }), null);
+});
+
+test('resolvePresetLimits reads each API\'s preset fields', () => {
+    const fallback = { contextSize: 4096, responseLength: 250 };
+    assert.deepEqual(
+        resolvePresetLimits('openai', { openai_max_context: 128000, openai_max_tokens: 1000 }, fallback),
+        { contextSize: 128000, responseLength: 1000, fromPreset: true },
+    );
+    assert.deepEqual(
+        resolvePresetLimits('novel', { max_context: 8192, max_length: 150 }, fallback),
+        { contextSize: 8192, responseLength: 150, fromPreset: true },
+    );
+    assert.deepEqual(
+        resolvePresetLimits('textgenerationwebui', { max_length: 16384 }, fallback),
+        { contextSize: 16384, responseLength: 250, fromPreset: true },
+    );
+    assert.deepEqual(resolvePresetLimits('kobold', { temp: 1 }, fallback), { ...fallback, fromPreset: false });
+});
+
+test('guessTokenizerForModel maps model names to tokenizer families', () => {
+    assert.equal(guessTokenizerForModel('claude-sonnet-4-5'), 'claude');
+    assert.equal(guessTokenizerForModel('meta-llama/llama-3.3-70b-instruct'), 'llama3');
+    assert.equal(guessTokenizerForModel('mistralai/mistral-nemo'), 'nemo');
+    assert.equal(guessTokenizerForModel('gemini-2.5-pro'), 'gemma');
+    assert.equal(guessTokenizerForModel('command-a-03-2025'), 'command-a');
+    assert.equal(guessTokenizerForModel('gpt-4o'), 'openai');
+    assert.equal(guessTokenizerForModel(''), null);
+});
+
+test('parseSectionCap reads percentages, token counts and "off"', () => {
+    assert.deepEqual(parseSectionCap('25%'), { unit: 'percent', value: 25 });
+    assert.deepEqual(parseSectionCap(' 2000 '), { unit: 'tokens', value: 2000 });
+    assert.deepEqual(parseSectionCap('1.5k'), { unit: 'tokens', value: 1500 });
+    assert.equal(parseSectionCap('Off'), false);
+    assert.equal(parseSectionCap(''), null);
+    assert.equal(parseSectionCap('150%'), null);
+    assert.equal(parseSectionCap('lots'), null);
+    assert.equal(formatSectionCap(parseSectionCap('1.5k')), '1500');
+    assert.equal(formatSectionCap(false), 'off');
+});
+
+test('character caps replace or lift the global ones', () => {
+    const caps = resolveSectionCaps(
+        { worldInfo: { unit: 'percent', value: 25 }, character: { unit: 'tokens', value: 2000 }, persona: { unit: 'tokens', value: 100 } },
+        { character: { unit: 'tokens', value: 3000 }, persona: false },
+    );
+    assert.deepEqual(caps, {
+        worldInfo: { unit: 'percent', value: 25, source: 'global' },
+        character: { unit: 'tokens', value: 3000, source: 'character' },
+    });
+});
+
+test('evaluateSectionCaps lists sections over their caps, largest overflow first', () => {
+    const tokens = getSectionTokens([
+        { group: 'worldInfo', tokens: 200 },
+        { group: 'worldInfo', tokens: 150 },
+        { group: 'character', tokens: 2150 },
+        { group: 'persona', tokens: 50 },
+    ]);
+    assert.deepEqual(tokens, { worldInfo: 350, character: 2150, persona: 50 });
+
+    const caps = {
+        worldInfo: { unit: 'percent', value: 25, source: 'global' },
+        character: { unit: 'tokens', value: 2000, source: 'character' },
+        persona: { unit: 'tokens', value: 100, source: 'global' },
+    };
+    assert.deepEqual(evaluateSectionCaps(tokens, caps, 1000), [
+        { section: 'character', tokens: 2150, limit: 2000, overBy: 150, overByPercent: 7.5, cap: '2000', source: 'character' },
+        { section: 'worldInfo', tokens: 350, limit: 250, overBy: 100, overByPercent: 40, cap: '25%', source: 'global' },
+    ]);
+    // Percentage caps need a budget to measure against
+    assert.deepEqual(evaluateSectionCaps(tokens, caps, 0).map(violation => violation.section), ['character']);
+});
+
+test('getRingSegments puts the remainder in System/Other', () => {
+    const segments = getRingSegments({
+        tokensReady: true,
+        percentBase: 1000,
+        totalTokens: 500,
+        chatHistoryTokens: 200,
+        worldInfoTokens: 100,
+        characterTokens: 50,
+        personaTokens: null,
+        mediaTokens: 0,
+    });
+    assert.deepEqual(segments.map(segment => segment.tokens), [200, 100, 50, 0, 0, 150]);
+    assert.equal(segments[0].percent, 20);
+    assert.deepEqual(getRingSegments({ tokensReady: false }), []);
+});
+
+test('normalizeMessageContent keeps text parts and counts media parts', () => {
+    const content = [{ type: 'text', text: 'look' }, { type: 'image_url', image_url: { url: 'data:' } }, 'here'];
+    assert.deepEqual(normalizeMessageContent(content), { text: 'look\nhere', mediaParts: 1 });
+    assert.deepEqual(normalizeMessageContent(undefined), { text: '', mediaParts: 0 });
+});
+
+test('normalizeMessageForCounting serializes nested fields', () => {
+    const { message, mediaParts } = normalizeMessageForCounting({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1' }],
+    });
+    assert.deepEqual(message, { role: 'assistant', tool_calls: '[{"id":"call_1"}]' });
+    assert.equal(mediaParts, 0);
+});
+
+test('estimateImageTokens follows each provider formula', () => {
+    assert.equal(estimateImageTokens(1024, 1024, 'high', 'openai'), 765);
+    assert.equal(estimateImageTokens(400, 400, 'auto', 'openai'), 85);
+    assert.equal(estimateImageTokens(1000, 1000, 'auto', 'claude'), 1334);
+    assert.equal(estimateImageTokens(300, 300, 'auto', 'google'), 258);
+    assert.equal(estimateImageTokens(1000, 800, 'auto', 'google'), 1032);
+    assert.equal(estimateImageTokens(0, 0, 'auto', 'openai'), 85);
+});
+
+test('price tables are validated and matched by the longest prefix', () => {
+    const table = parsePriceTable({ models: { 'GPT-4o': { input: 2.5, output: 10 }, 'gpt-4o-mini': { input: 0.15, output: 0.6 }, broken: { input: -1 } } });
+    assert.deepEqual(Object.keys(table), ['gpt-4o', 'gpt-4o-mini']);
+    assert.equal(findPriceInTable('openai/gpt-4o-mini-2024-07-18', table).key, 'gpt-4o-mini');
+    assert.equal(findPriceInTable('claude-3-opus', table), null);
+    assert.equal(parsePriceTable([]), null);
+    assert.equal(calculateCost({ input: 2, output: 10 }, 1_000_000, 100_000), 3);
+});
+
+test('usageReportToCsv adds a column per prompt block and quotes cells', () => {
+    const csv = usageReportToCsv({
+        includesPromptBlocks: true,
+        entries: [
+            { model: 'a,b', totalTokens: 10, promptBlocks: [{ key: 'main', label: 'Main', tokens: 4 }, { key: 'custom', label: 'Main', tokens: 6 }] },
+            { model: 'say "hi"', totalTokens: 12, promptBlocks: [{ key: 'main', label: 'Main', tokens: 5 }] },
+        ],
+    });
+    const [header, first, second] = csv.split('\n');
+    assert.ok(header.endsWith(',block:Main,block:Main (custom)'));
+    assert.ok(first.includes('"a,b"'));
+    assert.ok(first.endsWith(',4,6'));
+    assert.ok(second.includes('"say ""hi"""'));
+    assert.ok(second.endsWith(',5,'));
+});
+
+test('toCsvCell neutralises spreadsheet formulas in text cells', () => {
+    assert.equal(toCsvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+    assert.equal(toCsvCell('+1'), "'+1");
+    assert.equal(toCsvCell('-cmd'), "'-cmd");
+    assert.equal(toCsvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(toCsvCell(-20), '-20');
+    assert.equal(toCsvCell('gpt-4o'), 'gpt-4o');
+});
+
+test('parseRingMarkers drops invalid percentages', () => {
+    assert.deepEqual(parseRingMarkers('25, 50,abc,0,150, 100'), [25, 50, 100]);
+});
+
+test('waitUntilCondition resolves false after the timeout', async () => {
+    const started = Date.now();
+    assert.equal(await waitUntilCondition(() => false, 60, 10), false);
+    assert.ok(Date.now() - started >= 60);
+    assert.equal(await waitUntilCondition(() => true, 60, 10), true);
+});
@@ -0,0 +1,318 @@
+/**
+ * Minimal DOM shim for the Node test suite
+ * Covers what the popover builders use: element creation, attributes, classes, text and simple selectors
+ */
+
+/**
+ * A set of class names kept in sync with the element's class attribute
+ */
+class ClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get values() {
+        return (this.element.getAttribute('class') ?? '').split(/\s+/).filter(Boolean);
+    }
+
+    contains(name) {
+        return this.values.includes(name);
+    }
+
+    add(...names) {
+        this.element.setAttribute('class', [...new Set([...this.values, ...names])].join(' '));
+    }
+
+    remove(...names) {
+        this.element.setAttribute('class', this.values.filter(name => !names.includes(name)).join(' '));
+    }
+
+    toggle(name, force) {
+        const enable = force ?? !this.contains(name);
+        if (enable) this.add(name);
+        else this.remove(name);
+        return enable;
+    }
+}
+
+class Node {
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+        this.listeners = new Map();
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.replaceChildren();
+        if (value !== '' && value !== null && value !== undefined) {
+            this.appendChild(new TextNode(this.ownerDocument, String(value)));
+        }
+    }
+
+    appendChild(child) {
+        child.remove?.();
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(typeof child === 'string' ? new TextNode(this.ownerDocument, child) : child));
+    }
+
+    prepend(...children) {
+        [...children].reverse().forEach(child => {
+            const node = typeof child === 'string' ? new TextNode(this.ownerDocument, child) : child;
+            node.remove?.();
+            node.parentNode = this;
+            this.childNodes.unshift(node);
+        });
+    }
+
+    replaceChildren(...children) {
+        this.childNodes.forEach(child => {
+            child.parentNode = null;
+        });
+        this.childNodes = [];
+        this.append(...children);
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    replaceWith(node) {
+        const parent = this.parentNode;
+        if (!parent) return;
+        node.remove?.();
+        parent.childNodes.splice(parent.childNodes.indexOf(this), 1, node);
+        node.parentNode = parent;
+        this.parentNode = null;
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this.listeners.get(type) ?? [];
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners.get(event.type) ?? []).forEach(listener => listener.call(this, event));
+        return !event.defaultPrevented;
+    }
+}
+
+class TextNode extends Node {
+    constructor(ownerDocument, text) {
+        super(ownerDocument);
+        this.text = text;
+    }
+
+    get textContent() {
+        return this.text;
+    }
+
+    set textContent(value) {
+        this.text = String(value);
+    }
+}
+
+// Properties that reflect an attribute of the same name
+const REFLECTED_PROPERTIES = ['id', 'title', 'type', 'role', 'href', 'placeholder', 'name'];
+
+class Element extends Node {
+    constructor(ownerDocument, tagName, namespaceURI = null) {
+        super(ownerDocument);
+        this.tagName = tagName.toUpperCase();
+        this.namespaceURI = namespaceURI;
+        this.attributes = new Map();
+        this.classList = new ClassList(this);
+        this.style = {};
+        this.dataset = {};
+        this.checked = false;
+        this.disabled = false;
+        this.value = '';
+        this.hidden = false;
+        this.tabIndex = -1;
+    }
+
+    get children() {
+        return this.childNodes.filter(child => child instanceof Element);
+    }
+
+    get className() {
+        return this.getAttribute('class') ?? '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get innerHTML() {
+        return this.textContent;
+    }
+
+    // Markup is reduced to its text, which is all the tests read back
+    set innerHTML(value) {
+        this.textContent = String(value).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => matchesCompound(this, part.trim()));
+    }
+
+    closest(selector) {
+        for (let current = this; current instanceof Element; current = current.parentNode) {
+            if (current.matches(selector)) return current;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const results = [];
+        const visit = (node) => {
+            node.children.forEach(child => {
+                if (child.matches(selector)) results.push(child);
+                visit(child);
+            });
+        };
+        visit(this);
+        return results;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) {
+            this.ownerDocument.activeElement = this.ownerDocument.body;
+        }
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+}
+
+REFLECTED_PROPERTIES.forEach(property => {
+    Object.defineProperty(Element.prototype, property, {
+        get() {
+            return this.getAttribute(property) ?? '';
+        },
+        set(value) {
+            this.setAttribute(property, value);
+        },
+    });
+});
+
+/**
+ * Match an element against a compound selector such as `button.cui-export__button[disabled]`
+ * Combinators and pseudo-classes other than :not() are not supported
+ */
+function matchesCompound(element, selector) {
+    const pattern = /^([a-zA-Z][\w-]*|\*)|\.([\w-]+)|#([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]|:not\(([^)]*)\)/y;
+    let offset = 0;
+    while (offset < selector.length) {
+        pattern.lastIndex = offset;
+        const match = pattern.exec(selector);
+        if (!match) {
+            throw new Error(`Unsupported selector in DOM shim: ${selector}`);
+        }
+        const [text, tag, className, id, attribute, attributeValue, negated] = match;
+        if (tag && tag !== '*' && element.tagName !== tag.toUpperCase()) return false;
+        if (className && !element.classList.contains(className)) return false;
+        if (id && element.getAttribute('id') !== id) return false;
+        if (attribute) {
+            const actual = attribute === 'disabled' && element.disabled ? '' : element.getAttribute(attribute);
+            if (actual === null || (attributeValue !== undefined && actual !== attributeValue)) return false;
+        }
+        if (negated && matchesCompound(element, negated)) return false;
+        offset += text.length;
+    }
+    return true;
+}
+
+class Document extends Node {
+    constructor() {
+        super(null);
+        this.ownerDocument = this;
+        this.documentElement = this.createElement('html');
+        this.body = this.createElement('body');
+        this.documentElement.appendChild(this.body);
+        this.activeElement = this.body;
+    }
+
+    createElement(tagName) {
+        return new Element(this, tagName);
+    }
+
+    createElementNS(namespaceURI, tagName) {
+        return new Element(this, tagName, namespaceURI);
+    }
+
+    createTextNode(text) {
+        return new TextNode(this, String(text));
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+}
+
+/**
+ * Create a fresh document
+ */
+export function createDocument() {
+    return new Document();
+}
+
+export { Element };
@@ -0,0 +1,64 @@
+/**
+ * Shared host fixtures for tests that import index.js
+ */
+
+import { chat_metadata, setHostState } from './stubs/script.js';
+import { extension_settings } from './stubs/extensions.js';
+import { setPromptManager } from './stubs/openai.js';
+import { itemizedPrompts } from './stubs/itemized-prompts.js';
+import { resetPresets } from './stubs/preset-manager.js';
+import { setGroupState } from './stubs/group-chats.js';
+
+// Names the prompt manager gives its built-in entries
+const PROMPT_NAMES = {
+    main: 'Main Prompt',
+    chatHistory: 'Chat History',
+    charDescription: 'Char Description',
+};
+
+export const CHAT = [
+    { name: 'User', is_user: true, mes: 'hi there' },
+    { name: 'Assistant', is_user: false, mes: 'hello, how can I help' },
+];
+
+/**
+ * A prompt manager whose token handler reports the given per-block counts
+ */
+export function createPromptManager(counts, total = Object.values(counts).reduce((sum, tokens) => sum + tokens, 0)) {
+    return {
+        tokenHandler: {
+            getCounts: () => counts,
+            getTotal: () => total,
+        },
+        getPromptById: identifier => (PROMPT_NAMES[identifier] ? { identifier, name: PROMPT_NAMES[identifier] } : null),
+    };
+}
+
+/**
+ * Reset the stubbed host to an OpenAI chat with no prompt built yet
+ */
+export function resetHost(state = {}) {
+    setHostState({
+        mainApi: 'openai',
+        maxContextSize: 1000,
+        maxContext: 0,
+        amountGen: 0,
+        chatCompletionSettings: { openai_max_context: 1200, openai_max_tokens: 200 },
+        chatId: undefined,
+        chat: CHAT,
+        characters: [],
+        characterId: undefined,
+        ...state,
+    });
+    setPromptManager(null);
+    itemizedPrompts.length = 0;
+    resetPresets();
+    setGroupState();
+    for (const key of Object.keys(chat_metadata)) {
+        delete chat_metadata[key];
+    }
+    // Also drops other extensions' settings, such as the connection manager's profiles
+    for (const key of Object.keys(extension_settings)) {
+        delete extension_settings[key];
+    }
+}
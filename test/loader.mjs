@@ -0,0 +1,38 @@
+/**
+ * Module hooks for the Node test suite
+ * Resolves SillyTavern imports that climb out of the extension folder to the stubs in test/stubs,
+ * and loads the extension's .js files as ES modules since the repo has no package.json
+ */
+
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const STUBS = path.join(ROOT, 'test', 'stubs');
+
+/**
+ * Check whether a file path lies inside a directory
+ */
+function isInside(file, directory) {
+    const relative = path.relative(directory, file);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('../') && context.parentURL?.startsWith('file:')) {
+        const parent = fileURLToPath(context.parentURL);
+        const target = path.resolve(path.dirname(parent), specifier);
+        if (isInside(parent, ROOT) && !isInside(parent, STUBS) && !isInside(target, ROOT)) {
+            const hostPath = specifier.replace(/^(\.\.\/)+/, '');
+            return nextResolve(pathToFileURL(path.join(STUBS, hostPath)).href, context);
+        }
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith('file:') && url.endsWith('.js') && isInside(fileURLToPath(url), ROOT)) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
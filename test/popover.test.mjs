@@ -0,0 +1,281 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applySectionCaps, buildContextUsageSnapshot, createIndicator, createPopoverContent, getSettings } from '../index.js';
+import { waitUntilCondition } from '../src/calculations.js';
+import { setHostState } from './stubs/script.js';
+import { setPromptManager } from './stubs/openai.js';
+import { itemizedPrompts } from './stubs/itemized-prompts.js';
+import { extension_settings } from './stubs/extensions.js';
+import { setPresets } from './stubs/preset-manager.js';
+import { setGroupState } from './stubs/group-chats.js';
+import { CHAT, createPromptManager, resetHost } from './fixtures.mjs';
+
+const numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 0 });
+
+/**
+ * Read the label/value pairs of the rows inside a grid
+ */
+function readRows(container, gridSelector) {
+    return container.querySelector(gridSelector).querySelectorAll('.cui-text-row').map(row => [
+        row.querySelector('.cui-text-row__label').textContent,
+        row.querySelector('.cui-text-row__value').textContent,
+    ]);
+}
+
+/**
+ * Build a snapshot for a two-message OpenAI prompt
+ */
+async function buildOpenAISnapshot() {
+    setPromptManager(createPromptManager({ main: 5, chatHistory: 2, charDescription: 1 }));
+    itemizedPrompts.push({
+        main_api: 'openai',
+        mesId: 2,
+        rawPrompt: [
+            { role: 'system', content: 'You are a helpful assistant' },
+            { role: 'user', content: 'hi there' },
+        ],
+    });
+    return buildContextUsageSnapshot();
+}
+
+beforeEach(() => resetHost());
+
+test('each display mode renders the same snapshot', async () => {
+    const snapshot = await buildOpenAISnapshot();
+    const render = (displayMode) => {
+        getSettings().displayMode = displayMode;
+        return createIndicator(snapshot);
+    };
+    const compact = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 });
+
+    assert.deepEqual(render('ring').map(node => node.getAttribute('class')), ['cui-ring']);
+
+    const [badge] = render('badge');
+    assert.equal(badge.textContent, `8 / ${compact.format(1000)}`);
+
+    const [bar] = render('bar');
+    assert.equal(bar.querySelector('.cui-bar__value').style.width, '0.8%');
+    assert.deepEqual(bar.querySelectorAll('.cui-bar__marker').map(marker => marker.style.left), ['25%', '50%', '75%']);
+
+    assert.deepEqual(render('floating').map(node => node.getAttribute('class')), ['cui-ring', 'cui-badge']);
+});
+
+test('the segmented ring splits the indicator and the legend by category', async () => {
+    getSettings().segmentedRing = true;
+    const snapshot = await buildOpenAISnapshot();
+
+    const [ring] = createIndicator(snapshot);
+    assert.ok(ring.querySelectorAll('.cui-ring__segment').length > 1);
+    assert.equal(ring.querySelector('.cui-ring__value'), null);
+
+    getSettings().displayMode = 'bar';
+    const [bar] = createIndicator(snapshot);
+    assert.ok(bar.querySelectorAll('.cui-bar__segment').length > 1);
+
+    // The legend lists every category, including the empty ones the ring skips
+    const legend = createPopoverContent(snapshot).querySelector('.cui-legend');
+    const legendLabels = legend.querySelectorAll('.cui-legend__item').map(item => item.querySelector('.cui-legend__label').textContent);
+    ring.querySelectorAll('.cui-ring__segment').forEach(segment => {
+        assert.ok(legendLabels.includes(segment.querySelector('title').textContent.split(':')[0]));
+    });
+});
+
+test('the badge shows placeholders and the typed draft', async () => {
+    getSettings().displayMode = 'badge';
+    const snapshot = await buildOpenAISnapshot();
+
+    assert.equal(createIndicator({})[0].textContent, '—');
+    assert.equal(createIndicator({ ...snapshot, projectedTokens: 12 })[0].querySelector('.cui-badge__projected').textContent, ' +4');
+});
+
+test('sections over their cap are flagged, with character overrides', async () => {
+    const settings = getSettings();
+    settings.sectionCaps = { system: { unit: 'tokens', value: 4 }, history: { unit: 'percent', value: 0.1 } };
+    settings.characterSectionCaps = { 'alice.png': { history: false } };
+    setHostState({ characters: [{ name: 'Alice', avatar: 'alice.png' }] });
+    const snapshot = await buildOpenAISnapshot();
+
+    assert.deepEqual(applySectionCaps(snapshot).capViolations.map(({ section, overBy, source }) => [section, overBy, source]), [
+        ['system', 1, 'global'],
+        ['history', 1, 'global'],
+    ]);
+
+    setHostState({ characterId: 0 });
+    const capped = applySectionCaps(snapshot);
+    assert.deepEqual(capped.capViolations.map(violation => violation.section), ['system']);
+
+    const container = createPopoverContent(capped);
+    const row = container.querySelector('.cui-text-row--group.cui-text-row--over-cap');
+    assert.equal(row.querySelector('.cui-text-row__label').textContent, 'System Prompts');
+    assert.equal(row.querySelector('.cui-text-row__value').textContent, '5 / 4');
+    assert.equal(row.title, 'System Prompts: 5 tokens, 1 (25.0%) over the cap of 4');
+    assert.equal(container.querySelector('.cui-text-grid--primary').querySelector('.cui-text-row--over-cap').textContent, 'Over CapSystem Prompts +1');
+});
+
+test('character and persona caps fall back to the snapshot counts without their blocks', () => {
+    getSettings().sectionCaps = { character: { unit: 'tokens', value: 5 }, persona: { unit: 'tokens', value: 1 } };
+    const snapshot = { tokensReady: true, budget: 1000, promptBlocks: [{ key: 'storyString', group: 'system', tokens: 20 }], characterTokens: 15, personaTokens: 2 };
+
+    assert.deepEqual(applySectionCaps(snapshot).capViolations.map(({ section, overBy }) => [section, overBy]), [
+        ['character', 10],
+        ['persona', 1],
+    ]);
+});
+
+test('group chats apply the latest speaker\'s cap overrides until a member is drafted', async () => {
+    const settings = getSettings();
+    settings.sectionCaps = { history: { unit: 'percent', value: 0.1 } };
+    settings.characterSectionCaps = { 'bob.png': { history: false } };
+    const members = [{ name: 'Alice', avatar: 'alice.png' }, { name: 'Bob', avatar: 'bob.png' }];
+    setHostState({ characters: members });
+    setGroupState({ group: { id: 'party', disabled_members: [] }, members });
+    const snapshot = await buildOpenAISnapshot();
+
+    assert.deepEqual(applySectionCaps(snapshot).capViolations.map(violation => violation.section), ['history']);
+    assert.equal(snapshot.group.speaker.avatar, 'alice.png');
+
+    // Replies without an avatar are matched to members by name
+    setHostState({ chat: [...CHAT, { name: 'Bob', is_user: false, mes: 'hey' }] });
+    assert.deepEqual(applySectionCaps(snapshot).capViolations, []);
+    assert.equal((await buildContextUsageSnapshot()).group.speaker.avatar, 'bob.png');
+});
+
+test('the data pill is a meter with the usage', async () => {
+    const container = createPopoverContent(await buildOpenAISnapshot());
+
+    const meter = container.querySelector('[role="meter"]');
+    assert.equal(meter.getAttribute('aria-valuenow'), '0.8');
+    assert.equal(meter.getAttribute('aria-valuemin'), '0');
+    assert.equal(meter.getAttribute('aria-valuemax'), '100');
+    assert.equal(meter.getAttribute('aria-valuetext'), `0.8%, 8 of ${numberFormat.format(1000)} tokens`);
+    assert.equal(container.querySelector('.cui-data-pill__tokens').textContent, '8');
+});
+
+test('breakdown rows are grouped and list their prompt blocks', async () => {
+    const container = createPopoverContent(await buildOpenAISnapshot());
+
+    assert.deepEqual(readRows(container, '.cui-text-grid'), [
+        ['System Prompts', '5'],
+        ['Main Prompt', '5'],
+        ['Character', '1'],
+        ['Char Description', '1'],
+        ['Chat History', '2'],
+    ]);
+});
+
+test('text-completion breakdowns keep the character and persona rows', async () => {
+    resetHost({ mainApi: 'kobold', maxContextSize: 3584, maxContext: 4096, amountGen: 512 });
+    itemizedPrompts.push({
+        main_api: 'kobold',
+        mesId: 2,
+        finalPrompt: 'a story about dragons lore entry hi there hello friend',
+        storyString: 'a story about dragons lore entry',
+        worldInfoString: 'lore entry',
+        mesSendString: 'hi there hello friend',
+        charDescription: 'a story',
+        userPersona: 'dragons',
+    });
+    const container = createPopoverContent(await buildContextUsageSnapshot());
+
+    assert.deepEqual(readRows(container, '.cui-text-grid'), [
+        ['System Prompts', '1'],
+        ['Story String', '1'],
+        ['Character', '2'],
+        ['Char Description', '2'],
+        ['Persona', '1'],
+        ['Persona Description', '1'],
+        ['World Info', '2'],
+        ['Chat History', '4'],
+    ]);
+});
+
+test('hidden groups and prompt blocks are left out', async () => {
+    Object.assign(getSettings(), { hiddenBreakdownRows: ['system'], showPromptBlocks: false });
+    const container = createPopoverContent(await buildOpenAISnapshot());
+
+    assert.deepEqual(readRows(container, '.cui-text-grid'), [
+        ['Character', '1'],
+        ['Chat History', '2'],
+    ]);
+});
+
+test('primary rows show usage, totals and the tokenizer', async () => {
+    const container = createPopoverContent(await buildOpenAISnapshot());
+    const rows = Object.fromEntries(readRows(container, '.cui-text-grid--primary'));
+
+    assert.equal(rows['Usage'], '0.8%');
+    assert.equal(rows['Total Tokens'], '8');
+    assert.equal(rows['Max Context'], numberFormat.format(1000));
+    assert.equal(rows['Tokenizer'], 'gpt-4o · estimate');
+    assert.equal(container.querySelector('.cui-context-messages__text').textContent, '2 of 2 messages in context');
+    assert.ok(container.querySelector('.cui-inspect-button'));
+    assert.equal(container.querySelector('.cui-popover__empty'), null);
+});
+
+test('the export line follows the current chat history', async () => {
+    setHostState({ chatId: 'chat-1' });
+    const container = createPopoverContent(await buildOpenAISnapshot());
+
+    const buttons = container.querySelectorAll('.cui-export__button');
+    assert.deepEqual(buttons.map(button => button.textContent), ['JSON', 'CSV']);
+    assert.ok(buttons.every(button => button.disabled));
+});
+
+test('the empty state shows placeholders until tokens are known', async () => {
+    getSettings().promptManagerTimeout = 50;
+    const container = createPopoverContent(await buildContextUsageSnapshot());
+
+    assert.equal(
+        container.querySelector('.cui-popover__empty').textContent,
+        'Context usage data becomes available after the next prompt is generated.',
+    );
+    assert.deepEqual(readRows(container, '.cui-text-grid'), [
+        ['Chat History', '—'],
+        ['World Info', '—'],
+        ['Character', '—'],
+        ['Persona', '—'],
+    ]);
+    const meter = container.querySelector('[role="meter"]');
+    assert.equal(meter.getAttribute('aria-valuenow'), '0');
+    assert.equal(meter.getAttribute('aria-valuetext'), 'No usage data yet');
+    assert.equal(container.querySelector('.cui-legend'), null);
+    assert.equal(container.querySelector('.cui-inspect-button'), null);
+});
+
+test('rendering without a snapshot does not throw', () => {
+    const container = createPopoverContent(null);
+    assert.ok(container.querySelector('.cui-popover__empty'));
+    assert.equal(container.querySelector('.cui-data-pill__tokens').textContent, '—');
+});
+
+test('the what-if simulator lists connection profiles and presets', async () => {
+    extension_settings.connectionManager = {
+        profiles: [{ name: 'Local 16 tokens', mode: 'tc', api: 'koboldcpp', preset: 'Small' }],
+    };
+    setPresets('textgenerationwebui', { Small: { max_length: 20, genamt: 4 } });
+    setPresets('openai', { Tiny: { openai_max_context: 8, openai_max_tokens: 4 }, Trimmed: { openai_max_context: 11, openai_max_tokens: 4 }, Default: { openai_max_context: 1200, openai_max_tokens: 200 } });
+
+    const container = createPopoverContent(await buildOpenAISnapshot());
+    const toggle = container.querySelector('.cui-simulator').querySelector('.cui-text-row--expandable');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    toggle.dispatchEvent({ type: 'click' });
+    const results = container.querySelector('.cui-simulator__results');
+    assert.equal(await waitUntilCondition(() => !results.hasAttribute('aria-busy'), 1000, 5), true);
+
+    assert.equal(container.querySelector('.cui-simulator__panel').hidden, false);
+    assert.deepEqual(readRows(container, '.cui-simulator__results'), [
+        ['Custom', '0.8%'],
+        ['Local 16 tokens', '50.0%'],
+        ['Tiny', 'Does not fit'],
+        ['Trimmed', '100.0% · 1 trimmed'],
+        ['Default', '0.8%'],
+    ]);
+    assert.deepEqual(
+        container.querySelectorAll('.cui-simulator__heading').map(heading => heading.textContent),
+        ['Connection Profiles', 'Presets'],
+    );
+
+    // The expanded state outlives the popover, so collapse it again for later tests
+    toggle.dispatchEvent({ type: 'click' });
+});
@@ -0,0 +1,23 @@
+/**
+ * Preloaded by `node --test --import ./test/setup.mjs test/*.test.mjs`
+ * Routes SillyTavern imports to the stubs and installs the browser globals the extension expects
+ */
+
+import { register } from 'node:module';
+import { createDocument } from './dom-shim.mjs';
+
+register('./loader.mjs', import.meta.url);
+
+const { hostContext } = await import('./stubs/script.js');
+
+const document = createDocument();
+
+globalThis.document = document;
+globalThis.window = globalThis;
+globalThis.SillyTavern = { getContext: () => hostContext };
+// Notifications are recorded so tests can assert on them
+globalThis.toastr = Object.fromEntries(['info', 'success', 'warning', 'error'].map(type => {
+    const notify = (message, title) => notify.calls.push({ message, title });
+    notify.calls = [];
+    return [type, notify];
+}));
@@ -0,0 +1,228 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildContextUsageSnapshot, ensurePromptManagerReady, getContextDetails, getSettings, markGenerationForRecording, notifyThresholdCrossings, recordActivatedWorldInfo, recordPendingGeneration } from '../index.js';
+import { setPromptManager } from './stubs/openai.js';
+import { itemizedPrompts } from './stubs/itemized-prompts.js';
+import { chat_metadata, setHostState } from './stubs/script.js';
+import { CHAT, createPromptManager, resetHost } from './fixtures.mjs';
+
+const RAW_PROMPT = [
+    { role: 'system', content: 'You are a helpful assistant' },
+    { role: 'user', content: 'hi there' },
+];
+
+beforeEach(() => resetHost());
+
+test('getContextDetails reads the chat-completion limits for OpenAI', () => {
+    assert.deepEqual(getContextDetails(), { mainApi: 'openai', contextSize: 1200, responseLength: 200, budget: 1000 });
+});
+
+test('getContextDetails reads max_context for text-completion APIs', () => {
+    resetHost({ mainApi: 'kobold', maxContextSize: 3584, maxContext: 4096, amountGen: 512 });
+    assert.deepEqual(getContextDetails(), { mainApi: 'kobold', contextSize: 4096, responseLength: 512, budget: 3584 });
+});
+
+test('OpenAI prompts are counted per message from the itemized prompt', async () => {
+    setPromptManager(createPromptManager({ main: 5, chatHistory: 2, charDescription: 1 }));
+    itemizedPrompts.push({ main_api: 'openai', mesId: 2, rawPrompt: RAW_PROMPT });
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.equal(snapshot.tokensReady, true);
+    // 5 + 2 words, plus one token for the line break joining the two messages
+    assert.equal(snapshot.totalTokens, 8);
+    assert.equal(snapshot.percent, 0.8);
+    assert.equal(snapshot.chatHistoryTokens, 2);
+    assert.equal(snapshot.characterTokens, 1);
+    assert.equal(snapshot.countIsExact, false);
+    assert.equal(snapshot.tokenizerName, 'gpt-4o');
+    assert.deepEqual(snapshot.promptBlocks.map(block => [block.label, block.tokens]), [
+        ['Main Prompt', 5],
+        ['Chat History', 2],
+        ['Char Description', 1],
+    ]);
+    assert.equal(snapshot.unaccountedTokens, 0);
+    assert.deepEqual(snapshot.contextMessages, { firstIncludedIndex: 0, endIndex: 2, includedCount: 2, totalCount: 2, isExact: false });
+});
+
+test('activated World Info entries are tokenized when the snapshot is built', async () => {
+    setHostState({ chatId: 'lore-chat' });
+    setPromptManager(createPromptManager({ main: 5, chatHistory: 2 }));
+    itemizedPrompts.push({ main_api: 'openai', mesId: 2, rawPrompt: RAW_PROMPT });
+
+    recordActivatedWorldInfo([
+        { world: 'Lore', uid: 1, comment: 'Town', key: ['town'], position: 0, content: 'a quiet town' },
+        { world: 'Lore', uid: 2, comment: '', key: ['river', 'bridge'], position: 4, depth: 2, content: 'the old river bridge at dawn' },
+    ]);
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.deepEqual(snapshot.worldInfoEntries.map(entry => [entry.title, entry.positionLabel, entry.tokens]), [
+        ['river, bridge', 'At Depth 2', 6],
+        ['Town', 'Before Char Defs', 3],
+    ]);
+});
+
+test('only generated messages are recorded, against their prompt and chat', async () => {
+    setHostState({ chatId: 'first-chat' });
+    setPromptManager(createPromptManager({ main: 5, chatHistory: 2 }));
+    itemizedPrompts.push({ main_api: 'openai', mesId: 2, rawPrompt: RAW_PROMPT });
+    const snapshot = await buildContextUsageSnapshot();
+    const getHistory = () => chat_metadata.cui_usage_history ?? [];
+
+    markGenerationForRecording(2, 'command');
+    await recordPendingGeneration(snapshot);
+    assert.equal(getHistory().length, 0);
+
+    markGenerationForRecording(3, 'normal');
+    await recordPendingGeneration(snapshot);
+    assert.equal(getHistory().length, 0);
+
+    markGenerationForRecording(2, 'normal');
+    setHostState({ chatId: 'second-chat' });
+    await recordPendingGeneration(snapshot);
+    assert.equal(getHistory().length, 0);
+
+    setHostState({ chatId: 'first-chat' });
+    await recordPendingGeneration(snapshot);
+    await recordPendingGeneration(snapshot);
+    assert.deepEqual(getHistory().map(entry => [entry.messageIndex, entry.totalTokens]), [[2, snapshot.totalTokens]]);
+});
+
+test('a generation\'s cost is counted once, with its own reply', async () => {
+    setHostState({ chatId: 'priced-chat', chat: [...CHAT, { name: 'User', is_user: true, mes: 'thanks' }] });
+    getSettings().priceTable = { 'gpt-4o': { input: 1_000_000, output: 1_000_000 } };
+    itemizedPrompts.push({ main_api: 'openai', mesId: 1, rawPrompt: RAW_PROMPT });
+    const snapshot = { tokensReady: true, mainApi: 'openai', model: 'gpt-4o', totalTokens: 10, promptBlocks: [] };
+
+    markGenerationForRecording(1, 'swipe');
+    await recordPendingGeneration(snapshot);
+    await recordPendingGeneration(snapshot);
+
+    // Prompt tokens plus the five words of the assistant reply at index 1
+    assert.deepEqual(chat_metadata.cui_chat_cost, { total: 15, generations: 1 });
+});
+
+test('threshold notices need a crossing after the chat\'s first snapshot', () => {
+    const notices = () => [...toastr.warning.calls, ...toastr.error.calls].length;
+    const before = notices();
+    setHostState({ chatId: 'busy-chat' });
+
+    notifyThresholdCrossings({ tokensReady: true, usageLevel: 'critical', percent: 95 });
+    notifyThresholdCrossings({ tokensReady: true, usageLevel: 'critical', percent: 96 });
+    assert.equal(notices(), before);
+
+    notifyThresholdCrossings({ tokensReady: true, usageLevel: 'normal', percent: 40 });
+    notifyThresholdCrossings({ tokensReady: true, usageLevel: 'warning', percent: 80 });
+    assert.equal(notices(), before + 1);
+});
+
+test('exact counting adds per-message overhead', async () => {
+    getSettings().countingMode = 'exact';
+    setPromptManager(createPromptManager({ chatHistory: 2 }));
+    itemizedPrompts.push({ main_api: 'openai', mesId: 2, rawPrompt: RAW_PROMPT });
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    // Role and content words per message, plus the 3 tokens SillyTavern's own count adds to each
+    assert.deepEqual(snapshot.messageTokens, [9, 6]);
+    assert.equal(snapshot.totalTokens, 15);
+    assert.equal(snapshot.countIsExact, true);
+});
+
+test('empty itemized prompts fall back to the prompt manager total', async () => {
+    setPromptManager(createPromptManager({ main: 30, chatHistory: 12 }));
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.equal(snapshot.tokensReady, true);
+    assert.equal(snapshot.totalTokens, 42);
+    assert.equal(snapshot.countIsExact, false);
+    assert.equal(snapshot.messageTokens, null);
+});
+
+test('a missing token handler times out without usage', async () => {
+    getSettings().promptManagerTimeout = 100;
+    const started = Date.now();
+
+    assert.equal(await ensurePromptManagerReady(), false);
+    assert.ok(Date.now() - started >= 100);
+
+    const snapshot = await buildContextUsageSnapshot();
+    assert.equal(snapshot.tokensReady, false);
+    assert.equal(snapshot.totalTokens, null);
+    assert.equal(snapshot.percent, 0);
+    assert.deepEqual(snapshot.promptBlocks, []);
+    assert.equal(snapshot.usageLevel, 'normal');
+});
+
+test('waiting for the prompt manager picks up a late token handler', async () => {
+    getSettings().promptManagerTimeout = 2000;
+    setTimeout(() => setPromptManager(createPromptManager({ main: 3 })), 50);
+
+    assert.equal(await ensurePromptManagerReady(), true);
+    const snapshot = await buildContextUsageSnapshot();
+    assert.equal(snapshot.tokensReady, true);
+    assert.equal(snapshot.totalTokens, 3);
+});
+
+test('a token handler without counts is not ready', async () => {
+    setPromptManager({ tokenHandler: { getCounts: () => null, getTotal: () => undefined } });
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.equal(snapshot.tokensReady, false);
+    assert.equal(snapshot.totalTokens, null);
+});
+
+test('text-completion prompts are broken down from the itemized prompt', async () => {
+    resetHost({ mainApi: 'kobold', maxContextSize: 3584, maxContext: 4096, amountGen: 512 });
+    itemizedPrompts.push({
+        main_api: 'kobold',
+        mesId: 2,
+        finalPrompt: 'a story about dragons lore entry hi there hello friend',
+        storyString: 'a story about dragons lore entry',
+        worldInfoString: 'lore entry',
+        examplesString: '',
+        mesSendString: 'hi there hello friend',
+        allAnchors: '',
+        charDescription: 'a story',
+        userPersona: 'dragons',
+    });
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.equal(snapshot.tokensReady, true);
+    assert.equal(snapshot.totalTokens, 10);
+    assert.equal(snapshot.worldInfoTokens, 2);
+    assert.equal(snapshot.storyStringTokens, 4);
+    assert.equal(snapshot.chatHistoryTokens, 4);
+    assert.equal(snapshot.characterTokens, 2);
+    assert.equal(snapshot.personaTokens, 1);
+    assert.equal(snapshot.unaccountedTokens, 0);
+    assert.equal(snapshot.countIsExact, true);
+    assert.equal(snapshot.tokenizerName, 'Llama 3');
+    assert.equal(snapshot.budget, 3584);
+});
+
+test('text-completion APIs without an itemized prompt report no usage yet', async () => {
+    resetHost({ mainApi: 'textgenerationwebui', maxContextSize: 3584, maxContext: 4096 });
+    itemizedPrompts.push({ main_api: 'kobold', finalPrompt: 'from another api' });
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.equal(snapshot.showPromptSection, true);
+    assert.equal(snapshot.tokensReady, false);
+    assert.equal(snapshot.totalTokens, null);
+});
+
+test('unsupported APIs hide the prompt section', async () => {
+    resetHost({ mainApi: 'horde-legacy', maxContextSize: 2000, maxContext: 2048 });
+
+    const snapshot = await buildContextUsageSnapshot();
+
+    assert.equal(snapshot.showPromptSection, false);
+    assert.equal(snapshot.tokensReady, false);
+    assert.equal(snapshot.tokenizerName, null);
+});
@@ -0,0 +1,7 @@
+/**
+ * Test stub for SillyTavern's chats.js
+ */
+
+export async function getFileAttachment() {
+    return '';
+}
@@ -0,0 +1,7 @@
+/**
+ * Test stub for SillyTavern's extensions.js
+ */
+
+export const extension_settings = {};
+
+export function saveMetadataDebounced() {}
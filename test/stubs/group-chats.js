@@ -0,0 +1,23 @@
+/**
+ * Test stub for SillyTavern's group-chats.js
+ */
+
+export const groups = [];
+export let selected_group = null;
+export const group_generation_mode = { SWAP: 0, APPEND: 1, APPEND_DISABLED: 2 };
+
+let groupMembers = [];
+
+/**
+ * Open a group chat (or none, with no arguments) whose members are the given characters
+ */
+export function setGroupState({ group = null, members = [] } = {}) {
+    groups.length = 0;
+    if (group) groups.push({ ...group, members: members.map(member => member.avatar) });
+    selected_group = group?.id ?? null;
+    groupMembers = members;
+}
+
+export function getGroupMembers() {
+    return groupMembers;
+}
@@ -0,0 +1,5 @@
+/**
+ * Test stub for SillyTavern's itemized-prompts.js
+ */
+
+export const itemizedPrompts = [];
@@ -0,0 +1,18 @@
+/**
+ * Test stub for SillyTavern's openai.js
+ */
+
+export const oai_settings = { chat_completion_source: 'openai' };
+
+export let promptManager = null;
+
+/**
+ * Replace the prompt manager, e.g. with one whose token handler is not ready yet
+ */
+export function setPromptManager(manager) {
+    promptManager = manager;
+}
+
+export function getChatCompletionModel() {
+    return 'gpt-4o';
+}
@@ -0,0 +1,9 @@
+/**
+ * Test stub for SillyTavern's popup.js
+ */
+
+export const POPUP_TYPE = { TEXT: 1, CONFIRM: 2, INPUT: 3, DISPLAY: 4 };
+
+export async function callGenericPopup() {
+    return null;
+}
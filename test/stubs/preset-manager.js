@@ -0,0 +1,31 @@
+/**
+ * Test stub for SillyTavern's preset-manager.js
+ */
+
+const presetLists = {};
+
+/**
+ * Replace the saved presets of an API with a map of preset name to preset
+ */
+export function setPresets(api, presets) {
+    presetLists[api] = presets;
+}
+
+/**
+ * Forget the saved presets of every API
+ */
+export function resetPresets() {
+    for (const api of Object.keys(presetLists)) {
+        delete presetLists[api];
+    }
+}
+
+export function getPresetManager(api) {
+    if (!presetLists[api]) return null;
+    return {
+        getPresetList: () => ({
+            presets: Object.values(presetLists[api]),
+            preset_names: Object.fromEntries(Object.keys(presetLists[api]).map((name, index) => [name, index])),
+        }),
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * Test stub for SillyTavern's script.js
+ * Exposes the bindings the extension imports, plus setHostState() to change them between tests
+ */
+
+const listeners = new Map();
+
+export const eventSource = {
+    on(event, callback) {
+        if (!listeners.has(event)) listeners.set(event, []);
+        listeners.get(event).push(callback);
+    },
+    async emit(event, ...args) {
+        for (const callback of listeners.get(event) ?? []) {
+            await callback(...args);
+        }
+    },
+};
+
+export const event_types = {
+    APP_READY: 'app_ready',
+    CHARACTER_MESSAGE_RENDERED: 'character_message_rendered',
+    CHAT_CHANGED: 'chat_id_changed',
+    CHAT_COMPLETION_PROMPT_READY: 'chat_completion_prompt_ready',
+    CHAT_LOADED: 'chatLoaded',
+    GENERATION_ENDED: 'generation_ended',
+    GENERATION_STARTED: 'generation_started',
+    GENERATION_STOPPED: 'generation_stopped',
+    GROUP_MEMBER_DRAFTED: 'group_member_drafted',
+    MAIN_API_CHANGED: 'main_api_changed',
+    MESSAGE_DELETED: 'message_deleted',
+    MESSAGE_EDITED: 'message_edited',
+    MESSAGE_RECEIVED: 'message_received',
+    MESSAGE_SENT: 'message_sent',
+    MESSAGE_SWIPED: 'message_swiped',
+    MORE_MESSAGES_LOADED: 'more_messages_loaded',
+    SETTINGS_UPDATED: 'settings_updated',
+    USER_MESSAGE_RENDERED: 'user_message_rendered',
+    WORLD_INFO_ACTIVATED: 'world_info_activated',
+};
+
+export let main_api = 'openai';
+export let max_context = 0;
+export let amount_gen = 0;
+export const chat = [];
+export const chat_metadata = {};
+export const characters = [];
+
+let maxContextSize = 0;
+let chatId = undefined;
+
+// What SillyTavern.getContext() returns; installed as a global by test/setup.mjs
+export const hostContext = {
+    mainApi: 'openai',
+    maxContext: 0,
+    chatCompletionSettings: {},
+    onlineStatus: 'no_connection',
+};
+
+/**
+ * Set the host values the extension reads; omitted keys keep their current value
+ */
+export function setHostState(state) {
+    if ('mainApi' in state) {
+        main_api = state.mainApi;
+        hostContext.mainApi = state.mainApi;
+    }
+    if ('maxContextSize' in state) maxContextSize = state.maxContextSize;
+    if ('maxContext' in state) {
+        max_context = state.maxContext;
+        hostContext.maxContext = state.maxContext;
+    }
+    if ('amountGen' in state) amount_gen = state.amountGen;
+    if ('chatCompletionSettings' in state) hostContext.chatCompletionSettings = state.chatCompletionSettings;
+    if ('onlineStatus' in state) hostContext.onlineStatus = state.onlineStatus;
+    if ('chatId' in state) chatId = state.chatId;
+    if ('chat' in state) chat.splice(0, chat.length, ...state.chat);
+    if ('characters' in state) characters.splice(0, characters.length, ...state.characters);
+    if ('characterId' in state) hostContext.characterId = state.characterId;
+}
+
+export function getMaxContextSize() {
+    return maxContextSize;
+}
+
+export function getCurrentChatId() {
+    return chatId;
+}
+
+export function saveSettingsDebounced() {}
+
+export function getRequestHeaders() {
+    return { 'Content-Type': 'application/json' };
+}
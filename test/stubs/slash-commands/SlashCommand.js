@@ -0,0 +1,9 @@
+/**
+ * Test stub for SillyTavern's SlashCommand.js
+ */
+
+export class SlashCommand {
+    static fromProps(props) {
+        return Object.assign(new SlashCommand(), props);
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * Test stub for SillyTavern's SlashCommandArgument.js
+ */
+
+export const ARGUMENT_TYPE = {
+    STRING: 'string',
+    NUMBER: 'number',
+    BOOLEAN: 'bool',
+};
+
+export class SlashCommandNamedArgument {
+    static fromProps(props) {
+        return Object.assign(new SlashCommandNamedArgument(), props);
+    }
+}
@@ -0,0 +1,10 @@
+/**
+ * Test stub for SillyTavern's SlashCommandParser.js
+ */
+
+export const SlashCommandParser = {
+    commands: {},
+    addCommandObject(command) {
+        this.commands[command.name] = command;
+    },
+};
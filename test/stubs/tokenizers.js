@@ -0,0 +1,32 @@
+/**
+ * Test stub for SillyTavern's tokenizers.js
+ * Counts one token per whitespace-separated word, so expected totals are easy to work out
+ */
+
+/**
+ * Count the words of a string
+ */
+export function countWords(text) {
+    return String(text ?? '').split(/\s+/).filter(Boolean).length;
+}
+
+export async function getTokenCountAsync(text) {
+    return countWords(text);
+}
+
+// Like SillyTavern's tiktoken counting: the client starts from -1, the server adds 3 per message, 1 per name
+// and 3 of reply priming, and the client drops 2 unless counting in full
+export async function countTokensOpenAIAsync(message, full = false) {
+    const tokens = Object.entries(message).reduce((sum, [key, value]) => sum + countWords(value) + (key === 'name' ? 1 : 0), 0);
+    return -1 + tokens + 3 + 3 - (full ? 0 : 2);
+}
+
+export function getTokenizerModel() {
+    return 'gpt-4o';
+}
+
+export function getFriendlyTokenizerName(mainApi) {
+    return mainApi === 'openai'
+        ? { tokenizerName: 'gpt-4o', tokenizerKey: 'openai' }
+        : { tokenizerName: 'Llama 3', tokenizerKey: 'llama3' };
+}
@@ -0,0 +1,8 @@
+/**
+ * Test stub for SillyTavern's tool-calling.js
+ */
+
+export const ToolManager = {
+    tools: [],
+    isToolCallingSupported: () => false,
+};
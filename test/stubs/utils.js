@@ -0,0 +1,38 @@
+/**
+ * Test stub for SillyTavern's utils.js
+ */
+
+export function download() {}
+
+export function flashHighlight() {}
+
+export async function getFileText() {
+    return '';
+}
+
+export async function getImageSizeFromDataURL() {
+    return { width: 512, height: 512 };
+}
+
+export async function getVideoDurationFromDataURL() {
+    return 1;
+}
+
+export async function getAudioDurationFromDataURL() {
+    return 1;
+}
+
+// Same 32-bit string hash as SillyTavern
+export function getStringHash(str, seed = 0) {
+    if (typeof str !== 'string') return 0;
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
@@ -0,0 +1,5 @@
+/**
+ * Test stub for SillyTavern's world-info.js
+ */
+
+export function openWorldInfoEditor() {}